@@ -0,0 +1,107 @@
+// Compares the radix-tree matcher against the previous linear regex scan.
+// Usage: node benchmarks/routing.js [routeCount] [lookups]
+const { pathToRegexp } = require('path-to-regexp');
+const RouteTree = require('../src/utils/routeTree');
+
+const routeCount = parseInt(process.argv[2] || '500');
+const lookups = parseInt(process.argv[3] || '100000');
+
+function buildRoutes(count) {
+  const routes = [];
+  const shapes = [
+    i => `/api/service-${i}`,
+    i => `/api/service-${i}/items/:id`,
+    i => `/api/service-${i}/items/:id/history`,
+    i => `/static/service-${i}/*rest`
+  ];
+
+  for (let i = 0; routes.length < count; i++) {
+    shapes.forEach(shape => {
+      if (routes.length < count) {
+        const path = shape(i);
+        const { regexp, keys } = pathToRegexp(path, { sensitive: false, end: false });
+        routes.push({ path, methods: ['GET'], regexp, keys });
+      }
+    });
+  }
+
+  return routes;
+}
+
+function buildRequests(count, routes) {
+  const services = Math.ceil(routes.length / 4);
+  const requests = [];
+
+  for (let i = 0; i < count; i++) {
+    const service = i % services;
+    const variant = i % 5;
+    if (variant === 0) requests.push(`/api/service-${service}`);
+    if (variant === 1) requests.push(`/api/service-${service}/items/${i}`);
+    if (variant === 2) requests.push(`/api/service-${service}/items/${i}/history`);
+    if (variant === 3) requests.push(`/static/service-${service}/css/app-${i}.css`);
+    if (variant === 4) requests.push(`/unknown/${i}`);
+  }
+
+  return requests;
+}
+
+// The matcher RoutingLayer used before the route tree: first match in config order,
+// with extractParams recompiling the pattern on every hit
+function linearLookup(routes, method, path) {
+  for (const route of routes) {
+    if (!route.methods.includes(method)) {
+      continue;
+    }
+    if (route.regexp.exec(path)) {
+      const { regexp, keys } = pathToRegexp(route.path, { sensitive: false, end: false });
+      const match = regexp.exec(path);
+      const params = {};
+      keys.forEach((key, index) => {
+        params[key.name] = match[index + 1];
+      });
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+function run(name, fn, requests) {
+  // Warm up so the JIT has settled before timing
+  for (let i = 0; i < Math.min(requests.length, 5000); i++) {
+    fn(requests[i]);
+  }
+
+  const start = process.hrtime.bigint();
+  let matched = 0;
+  for (const path of requests) {
+    if (fn(path)) {
+      matched++;
+    }
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return {
+    matcher: name,
+    lookups: requests.length,
+    matched,
+    totalMs: Math.round(elapsedMs * 100) / 100,
+    opsPerSec: Math.round(requests.length / (elapsedMs / 1000)),
+    avgMicros: Math.round((elapsedMs * 1000 / requests.length) * 100) / 100
+  };
+}
+
+const routes = buildRoutes(routeCount);
+const requests = buildRequests(lookups, routes);
+
+const tree = new RouteTree();
+routes.forEach(route => tree.insert(route));
+const accept = route => route.methods.includes('GET');
+
+const results = [
+  run('linear', path => linearLookup(routes, 'GET', path), requests),
+  run('radix-tree', path => tree.lookup(path, accept), requests)
+];
+
+console.log(`Routes: ${routes.length}, lookups: ${requests.length}`);
+console.table(results);
+console.log(`Speedup: ${(results[1].opsPerSec / results[0].opsPerSec).toFixed(1)}x`);
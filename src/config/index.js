@@ -14,7 +14,8 @@ const config = {
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT || '6379'),
-    password: process.env.REDIS_PASSWORD || undefined
+    password: process.env.REDIS_PASSWORD || undefined,
+    connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || '5000')
   },
 
   rateLimiting: {
@@ -31,7 +32,110 @@ const config = {
   circuitBreaker: {
     failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5'),
     recoveryTimeout: parseInt(process.env.CIRCUIT_BREAKER_RECOVERY_TIMEOUT || '30000'),
-    monitorTimeout: parseInt(process.env.CIRCUIT_BREAKER_MONITOR_TIMEOUT || '2000')
+    monitorTimeout: parseInt(process.env.CIRCUIT_BREAKER_MONITOR_TIMEOUT || '2000'),
+    // 'count' judges the last `windowSize` calls, 'time' the calls of the last `windowMs`
+    windowType: process.env.CIRCUIT_BREAKER_WINDOW_TYPE || 'count',
+    windowSize: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_SIZE || '20'),
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS || '60000'),
+    minimumCalls: parseInt(process.env.CIRCUIT_BREAKER_MINIMUM_CALLS || '10'),
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_FAILURE_RATE || '50'),
+    slowCallDuration: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS || '5000'),
+    slowCallRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE || '100'),
+    halfOpenProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_PROBES || '3'),
+    halfOpenMaxConcurrent: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_CONCURRENT || '1')
+  },
+
+  // Defaults for active upstream health checks; routes enable them with `healthCheck`
+  healthChecks: {
+    enabled: process.env.UPSTREAM_HEALTH_CHECKS === 'true',
+    path: process.env.UPSTREAM_HEALTH_CHECK_PATH || '/health',
+    interval: parseInt(process.env.UPSTREAM_HEALTH_CHECK_INTERVAL_MS || '10000'),
+    timeout: parseInt(process.env.UPSTREAM_HEALTH_CHECK_TIMEOUT_MS || '2000'),
+    healthyThreshold: parseInt(process.env.UPSTREAM_HEALTHY_THRESHOLD || '2'),
+    unhealthyThreshold: parseInt(process.env.UPSTREAM_UNHEALTHY_THRESHOLD || '3')
+  },
+
+  circuitBreakerStore: {
+    backend: process.env.CIRCUIT_BREAKER_STORE || 'local', // 'local' or 'redis'
+    keyPrefix: process.env.CIRCUIT_BREAKER_REDIS_PREFIX || 'gateway:circuit-breakers'
+  },
+
+  forwarding: {
+    streaming: process.env.PROXY_STREAMING === 'true',
+    maxReplayBodyBytes: parseInt(process.env.PROXY_MAX_REPLAY_BODY_BYTES || '1048576'),
+    idleTimeout: parseInt(process.env.PROXY_IDLE_TIMEOUT_MS || '60000')
+  },
+
+  // A `budget` of 0 leaves routes without an overall deadline unless they set `deadline`.
+  // `header` is read from clients and sent to upstreams with the time left.
+  deadline: {
+    budget: parseInt(process.env.REQUEST_DEADLINE_MS || '0'),
+    header: (process.env.DEADLINE_HEADER || 'X-Request-Timeout').toLowerCase()
+  },
+
+  // Defaults for each route's `retryPolicy`
+  retryPolicy: {
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statusCodes: [502, 503, 504],
+    networkErrors: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'GATEWAY_TIMEOUT'],
+    backoff: { base: 1000, cap: 10000, jitter: 'full' },
+    budget: {
+      ratio: parseFloat(process.env.RETRY_BUDGET_RATIO || '0.2'),
+      minRetriesPerSecond: parseInt(process.env.RETRY_BUDGET_MIN_PER_SECOND || '3'),
+      windowMs: parseInt(process.env.RETRY_BUDGET_WINDOW_MS || '10000')
+    }
+  },
+
+  connectionPools: {
+    maxSockets: parseInt(process.env.UPSTREAM_MAX_SOCKETS || '100'),
+    maxFreeSockets: parseInt(process.env.UPSTREAM_MAX_FREE_SOCKETS || '10'),
+    keepAliveTimeout: parseInt(process.env.UPSTREAM_KEEP_ALIVE_TIMEOUT_MS || '30000'),
+    queueTimeout: parseInt(process.env.UPSTREAM_QUEUE_TIMEOUT_MS || '5000')
+  },
+
+  // A maxConcurrent of 0 leaves services unlimited unless configured per service or route
+  bulkheads: {
+    maxConcurrent: parseInt(process.env.BULKHEAD_MAX_CONCURRENT || '0'),
+    maxQueue: parseInt(process.env.BULKHEAD_MAX_QUEUE || '0'),
+    queueTimeout: parseInt(process.env.BULKHEAD_QUEUE_TIMEOUT_MS || '1000')
+  },
+
+  // Defaults for routes with `cache` set; `ttl` only applies when the upstream sends no freshness headers
+  cache: {
+    backend: process.env.CACHE_BACKEND || 'memory', // 'memory' or 'redis'
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '1000'),
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES || '52428800'),
+    maxEntryBytes: parseInt(process.env.CACHE_MAX_ENTRY_BYTES || '1048576'),
+    ttl: parseInt(process.env.CACHE_DEFAULT_TTL_MS || '0'),
+    staleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_MS || '0'),
+    keyPrefix: process.env.CACHE_REDIS_PREFIX || 'gateway:cache'
+  },
+
+  // Defaults for each route's `fallback`; `maxEntries`, `maxBytes` and `maxAge` bound the
+  // last successful responses kept for `cache` fallbacks
+  fallback: {
+    on: ['CIRCUIT_BREAKER_OPEN', 'SERVICE_UNAVAILABLE', 'GATEWAY_TIMEOUT', 'BAD_GATEWAY', 'UPSTREAM_ERROR', 'UPSTREAM_POOL_EXHAUSTED', 'BULKHEAD_FULL', 'DEADLINE_EXCEEDED'],
+    statusCodes: [502, 503, 504],
+    maxEntries: parseInt(process.env.FALLBACK_CACHE_MAX_ENTRIES || '1000'),
+    maxBytes: parseInt(process.env.FALLBACK_CACHE_MAX_BYTES || '10485760'),
+    maxAge: parseInt(process.env.FALLBACK_CACHE_MAX_AGE_MS || '3600000')
+  },
+
+  // Defaults for routes with `mirrors`. Mirrored calls beyond `maxConcurrent` are skipped,
+  // and the last `diffHistory` mismatches are kept for GET /admin/mirrors.
+  mirroring: {
+    timeout: parseInt(process.env.MIRROR_TIMEOUT_MS || '5000'),
+    maxConcurrent: parseInt(process.env.MIRROR_MAX_CONCURRENT || '100'),
+    diffHistory: parseInt(process.env.MIRROR_DIFF_HISTORY || '50')
+  },
+
+  // Request headers that make otherwise identical requests distinct on routes with `coalesce` set
+  coalescing: {
+    headers: ['accept', 'accept-language']
+  },
+
+  websocket: {
+    tokenQueryParam: process.env.WS_TOKEN_QUERY_PARAM || 'access_token'
   },
 
   logging: {
@@ -39,6 +143,23 @@ const config = {
     file: process.env.LOG_FILE || 'logs/gateway.log'
   },
 
+  routesFile: {
+    path: process.env.ROUTES_FILE || null,
+    watch: process.env.ROUTES_FILE_WATCH !== 'false',
+    pollInterval: parseInt(process.env.ROUTES_FILE_POLL_INTERVAL_MS || '1000')
+  },
+
+  // `file` bodies of static routes are read from here and may not point outside it
+  staticFiles: {
+    root: process.env.STATIC_FILES_ROOT || 'static'
+  },
+
+  routeStore: {
+    backend: process.env.ROUTE_STORE || 'file', // 'file', 'redis' or 'none'
+    file: process.env.ROUTE_STORE_FILE || 'data/routes.json',
+    redisKey: process.env.ROUTE_STORE_REDIS_KEY || 'gateway:routes'
+  },
+
   routes: [
     {
       path: '/api/users',
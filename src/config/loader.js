@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('./index');
+const { gatewayConfigSchema, findReferenceErrors, formatValidationErrors } = require('./schema');
+const ErrorHandler = require('../utils/errorHandler');
+const logger = require('../layers/logging');
+
+class ConfigLoader {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.pollInterval = options.pollInterval || config.routesFile.pollInterval;
+    this.watching = false;
+    this.version = 0;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.lastGoodConfig = null;
+  }
+
+  parse(content) {
+    const extension = path.extname(this.filePath).toLowerCase();
+
+    if (extension === '.json') {
+      return JSON.parse(content);
+    }
+
+    return yaml.load(content, { filename: this.filePath });
+  }
+
+  // Reads and validates the file without applying it
+  read() {
+    let raw;
+    try {
+      raw = this.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw this.createConfigError('Gateway config file could not be read', [
+        { path: '', message: error.message }
+      ]);
+    }
+
+    const { value, error } = gatewayConfigSchema.validate(raw, { abortEarly: false });
+    if (error) {
+      throw this.createConfigError('Gateway config file failed validation', formatValidationErrors(error));
+    }
+
+    const referenceErrors = this.checkReferences(value);
+    if (referenceErrors.length > 0) {
+      throw this.createConfigError('Gateway config file failed validation', referenceErrors);
+    }
+
+    return value;
+  }
+
+  load(apply = null) {
+    return this.commit(this.read(), apply);
+  }
+
+  // The config only becomes the current version once `apply` has succeeded with it
+  commit(gatewayConfig, apply = null) {
+    if (apply) {
+      apply(gatewayConfig);
+    }
+
+    this.version++;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    this.lastGoodConfig = gatewayConfig;
+
+    return gatewayConfig;
+  }
+
+  checkReferences(gatewayConfig) {
+    const tiers = {
+      ...config.rateLimiting.tiers,
+      ...(gatewayConfig.rateLimiting?.tiers || {})
+    };
+
+    return gatewayConfig.routes.flatMap((route, index) => findReferenceErrors(route, tiers, `routes.${index}.`));
+  }
+
+  createConfigError(message, errors) {
+    return ErrorHandler.createError(message, 500, 'INVALID_GATEWAY_CONFIG', {
+      file: this.filePath,
+      errors
+    });
+  }
+
+  watch(onReload) {
+    if (this.watching) {
+      return;
+    }
+
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: this.pollInterval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+
+      let gatewayConfig;
+      try {
+        gatewayConfig = this.read();
+      } catch (error) {
+        this.lastError = {
+          message: error.message,
+          details: error.details,
+          timestamp: new Date().toISOString()
+        };
+        logger.logSystem('error', 'Rejected gateway config reload, keeping last good config', {
+          file: this.filePath,
+          version: this.version,
+          errors: error.details?.errors
+        });
+        return;
+      }
+
+      try {
+        this.commit(gatewayConfig, onReload);
+        logger.logSystem('info', 'Gateway config reloaded', {
+          file: this.filePath,
+          version: this.version,
+          routeCount: gatewayConfig.routes.length
+        });
+      } catch (error) {
+        this.lastError = {
+          message: error.message,
+          timestamp: new Date().toISOString()
+        };
+        logger.logSystem('error', 'Failed to apply reloaded gateway config', {
+          file: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    logger.logSystem('info', 'Watching gateway config file', {
+      file: this.filePath,
+      pollInterval: this.pollInterval
+    });
+  }
+
+  close() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      file: this.filePath,
+      watching: this.watching,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = ConfigLoader;
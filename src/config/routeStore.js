@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./index');
+const { routeSchema } = require('./schema');
+const logger = require('../layers/logging');
+
+class RouteStore {
+  constructor(options = {}) {
+    this.backend = options.backend || config.routeStore.backend;
+    this.filePath = path.resolve(options.file || config.routeStore.file);
+    this.redisKey = options.redisKey || config.routeStore.redisKey;
+    this.redisLayer = options.redisLayer || null;
+    this.lastSavedAt = null;
+    this.writeCount = 0;
+    // Saving replaces everything stored, so it waits until the stored changes have been read
+    this.loaded = this.backend === 'none';
+  }
+
+  getRedisClient() {
+    if (!this.redisLayer || !this.redisLayer.isConnected) {
+      throw new Error('Redis not connected');
+    }
+    return this.redisLayer.redisClient;
+  }
+
+  async read() {
+    if (this.backend === 'redis') {
+      return this.getRedisClient().get(this.redisKey);
+    }
+
+    try {
+      return await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(content) {
+    if (this.backend === 'redis') {
+      await this.getRedisClient().set(this.redisKey, content);
+      return;
+    }
+
+    // Write then rename so a crash mid-write never leaves a truncated file behind
+    const tempFile = `${this.filePath}.${process.pid}.${++this.writeCount}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, this.filePath);
+    } catch (error) {
+      await fs.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  async load() {
+    if (this.backend === 'none') {
+      return [];
+    }
+
+    const content = await this.read();
+    const { overrides = [] } = content ? JSON.parse(content) : {};
+    this.loaded = true;
+
+    return overrides.filter(({ id, route }) => {
+      if (route === null) {
+        return true;
+      }
+
+      const { error } = routeSchema.validate(route);
+      if (error) {
+        logger.logSystem('warn', 'Skipping invalid stored route', { id, error: error.message });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  async save(overrides) {
+    if (this.backend === 'none') {
+      return;
+    }
+    if (!this.loaded) {
+      throw new Error('Stored route changes have not been loaded yet');
+    }
+
+    await this.write(JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      overrides
+    }, null, 2));
+
+    this.lastSavedAt = new Date().toISOString();
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      location: this.backend === 'redis' ? this.redisKey : this.filePath,
+      loaded: this.loaded,
+      lastSavedAt: this.lastSavedAt
+    };
+  }
+}
+
+module.exports = RouteStore;
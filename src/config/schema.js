@@ -0,0 +1,361 @@
+const Joi = require('joi');
+const { pathToRegexp } = require('path-to-regexp');
+const { resolveStaticFile } = require('../utils/staticFiles');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+const LOAD_BALANCING_STRATEGIES = ['round-robin', 'weighted', 'least-outstanding', 'consistent-hash'];
+
+const targetUrlSchema = Joi.string().uri({ scheme: ['http', 'https'] });
+
+const targetSchema = Joi.alternatives().try(
+  targetUrlSchema,
+  Joi.object({
+    url: targetUrlSchema.required(),
+    weight: Joi.number().integer().min(1).max(1000)
+  })
+);
+
+const loadBalancingSchema = Joi.object({
+  strategy: Joi.string().valid(...LOAD_BALANCING_STRATEGIES),
+  hashOn: Joi.string().valid('user', 'header', 'ip'),
+  hashHeader: Joi.string()
+});
+
+const splitSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).required(),
+  weight: Joi.number().min(0).max(100).required(),
+  target: targetUrlSchema,
+  targets: Joi.array().items(targetSchema).min(1),
+  loadBalancing: loadBalancingSchema
+}).or('target', 'targets');
+
+const splitOptionsSchema = Joi.object({
+  stickyCookie: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/),
+  overrideHeader: Joi.string()
+});
+
+const regexSchema = Joi.string().custom((value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+});
+
+// A template like "/v1/profile?user=:id", a regex with capture groups, or a prefix swap
+const rewriteSchema = Joi.alternatives().conditional(Joi.string(), {
+  then: Joi.string().pattern(/^\//),
+  otherwise: Joi.alternatives().conditional(Joi.object({ prefix: Joi.exist() }).unknown(), {
+    then: Joi.object({
+      prefix: Joi.string().pattern(/^\//).required()
+    }),
+    otherwise: Joi.object({
+      pattern: regexSchema.required(),
+      replacement: Joi.string().required()
+    })
+  })
+});
+
+const retryPolicySchema = Joi.object({
+  methods: Joi.array().items(Joi.string().uppercase().valid(...HTTP_METHODS)),
+  statusCodes: Joi.array().items(Joi.number().integer().min(100).max(599)),
+  networkErrors: Joi.array().items(Joi.string()),
+  backoff: Joi.object({
+    base: Joi.number().integer().min(0),
+    cap: Joi.number().integer().min(0),
+    jitter: Joi.string().valid('none', 'full', 'equal')
+  }),
+  budget: Joi.object({
+    ratio: Joi.number().min(0).max(1),
+    minRetriesPerSecond: Joi.number().min(0)
+  })
+});
+
+const circuitBreakerSchema = Joi.object({
+  failureThreshold: Joi.number().integer().positive(),
+  recoveryTimeout: Joi.number().integer().positive(),
+  monitorTimeout: Joi.number().integer().positive(),
+  windowType: Joi.string().valid('count', 'time'),
+  windowSize: Joi.number().integer().positive(),
+  windowMs: Joi.number().integer().min(1000),
+  minimumCalls: Joi.number().integer().min(1),
+  failureRateThreshold: Joi.number().min(0).max(100),
+  slowCallDuration: Joi.number().integer().positive(),
+  slowCallRateThreshold: Joi.number().min(0).max(100),
+  halfOpenProbes: Joi.number().integer().min(1),
+  halfOpenMaxConcurrent: Joi.number().integer().min(1)
+});
+
+const healthCheckSchema = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    enabled: Joi.boolean(),
+    path: Joi.string().pattern(/^\//),
+    interval: Joi.number().integer().min(1000),
+    timeout: Joi.number().integer().positive(),
+    healthyThreshold: Joi.number().integer().min(1),
+    unhealthyThreshold: Joi.number().integer().min(1)
+  })
+);
+
+const bulkheadSchema = Joi.object({
+  maxConcurrent: Joi.number().integer().min(0),
+  maxQueue: Joi.number().integer().min(0),
+  queueTimeout: Joi.number().integer().positive()
+});
+
+const cacheSchema = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    enabled: Joi.boolean(),
+    ttl: Joi.number().integer().min(0),
+    staleWhileRevalidate: Joi.number().integer().min(0),
+    partitionByUser: Joi.boolean()
+  })
+);
+
+const coalesceSchema = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    enabled: Joi.boolean(),
+    headers: Joi.array().items(Joi.string()),
+    partitionByUser: Joi.boolean()
+  })
+);
+
+const fallbackStrategySchema = Joi.object({
+  type: Joi.string().valid('static', 'cache', 'target').required(),
+  status: Joi.number().integer().min(100).max(599),
+  headers: Joi.object().pattern(Joi.string(), Joi.string()),
+  body: Joi.any(),
+  maxAge: Joi.number().integer().positive(),
+  target: targetUrlSchema.when('type', { is: 'target', then: Joi.required() }),
+  timeout: Joi.number().integer().positive()
+});
+
+// Strategies are tried in order until one produces a response
+const fallbackSchema = Joi.object({
+  on: Joi.array().items(Joi.string()).min(1),
+  statusCodes: Joi.array().items(Joi.number().integer().min(500).max(599)),
+  strategies: Joi.array().items(fallbackStrategySchema).min(1).required()
+});
+
+const mirrorSchema = Joi.object({
+  target: targetUrlSchema.required(),
+  percentage: Joi.number().min(0).max(100),
+  timeout: Joi.number().integer().positive(),
+  compare: Joi.boolean()
+});
+
+// Call names double as keys in the merged response and in `{{results.<name>}}` templates
+const aggregateCallSchema = Joi.object({
+  name: Joi.string().pattern(/^\w+$/).invalid('errors').required()
+    .messages({ 'string.pattern.base': 'Call names may only contain letters, digits and "_"' }),
+  target: targetUrlSchema.required(),
+  path: Joi.string().pattern(/^\//).required(),
+  method: Joi.string().uppercase().valid(...HTTP_METHODS),
+  headers: Joi.object().pattern(Joi.string(), Joi.string()),
+  body: Joi.any(),
+  dependsOn: Joi.array().items(Joi.string()).unique(),
+  timeout: Joi.number().integer().positive(),
+  retries: Joi.number().integer().min(0),
+  circuitBreaker: circuitBreakerSchema,
+  optional: Joi.boolean()
+});
+
+function findDependencyError(calls) {
+  const byName = new Map(calls.map(call => [call.name, call]));
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (call) => {
+    if (visited.has(call.name)) {
+      return null;
+    }
+    if (visiting.has(call.name)) {
+      return `Calls have a dependency cycle through "${call.name}"`;
+    }
+
+    visiting.add(call.name);
+    for (const dependency of call.dependsOn || []) {
+      if (!byName.has(dependency)) {
+        return `Call "${call.name}" depends on unknown call "${dependency}"`;
+      }
+      const error = visit(byName.get(dependency));
+      if (error) {
+        return error;
+      }
+    }
+    visiting.delete(call.name);
+    visited.add(call.name);
+    return null;
+  };
+
+  for (const call of calls) {
+    const error = visit(call);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+const aggregateSchema = Joi.object({
+  calls: Joi.array().items(aggregateCallSchema).min(1).unique('name').required()
+}).custom((aggregate, helpers) => {
+  const error = findDependencyError(aggregate.calls);
+  return error ? helpers.message(error) : aggregate;
+});
+
+const ROUTE_TYPES = ['proxy', 'static', 'redirect', 'aggregate'];
+
+const staticResponseSchema = Joi.object({
+  status: Joi.number().integer().min(100).max(599),
+  headers: Joi.object().pattern(Joi.string(), Joi.string()),
+  body: Joi.any(),
+  file: Joi.string().custom((file, helpers) => (
+    resolveStaticFile(file) ? file : helpers.message('Static response file must be inside the static files root')
+  )),
+  template: Joi.boolean()
+}).oxor('body', 'file');
+
+const redirectSchema = Joi.object({
+  url: Joi.string().required(),
+  status: Joi.number().valid(301, 302, 307, 308),
+  preserveQuery: Joi.boolean()
+});
+
+// A match condition is an exact value, a list of accepted values, or `true` for "present"
+const matchValueSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()).min(1),
+  Joi.boolean().valid(true)
+);
+
+const matchConditionsSchema = Joi.object().pattern(Joi.string(), matchValueSchema);
+
+const routeSchema = Joi.object({
+  id: Joi.string().max(100).pattern(/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/)
+    .messages({ 'string.pattern.base': 'Route id may only contain letters, digits, ".", "_" and "-"' }),
+  type: Joi.string().valid(...ROUTE_TYPES),
+  path: Joi.string().pattern(/^\//).required()
+    .custom((path, helpers) => {
+      try {
+        pathToRegexp(path);
+        return path;
+      } catch (error) {
+        return helpers.message(`Route path is not a valid pattern: ${error.message}`);
+      }
+    })
+    .messages({ 'string.pattern.base': 'Route path must start with "/"' }),
+  response: staticResponseSchema.when('type', { is: 'static', then: Joi.required() }),
+  redirect: redirectSchema.when('type', { is: 'redirect', then: Joi.required() }),
+  aggregate: aggregateSchema.when('type', { is: 'aggregate', then: Joi.required() }),
+  target: targetUrlSchema,
+  targets: Joi.array().items(targetSchema).min(1),
+  loadBalancing: loadBalancingSchema,
+  splits: Joi.array().items(splitSchema).min(1).unique('name')
+    .custom((splits, helpers) => (
+      splits.some(split => split.weight > 0) ? splits : helpers.message('At least one split needs a weight above 0')
+    )),
+  splitOptions: splitOptionsSchema,
+  hosts: Joi.array().items(Joi.string().pattern(/^(\*\.)?[a-zA-Z0-9.-]+$/)).min(1)
+    .messages({ 'string.pattern.base': 'Route hosts must be hostnames, optionally starting with "*."' }),
+  headers: matchConditionsSchema,
+  query: matchConditionsSchema,
+  cookies: matchConditionsSchema,
+  timeout: Joi.number().integer().positive(),
+  deadline: Joi.number().integer().positive(),
+  idleTimeout: Joi.number().integer().positive(),
+  retries: Joi.number().integer().min(0),
+  retryPolicy: retryPolicySchema,
+  circuitBreaker: circuitBreakerSchema,
+  healthCheck: healthCheckSchema,
+  bulkhead: bulkheadSchema,
+  cache: cacheSchema,
+  coalesce: coalesceSchema,
+  fallback: fallbackSchema,
+  mirrors: Joi.array().items(mirrorSchema).min(1),
+  authRequired: Joi.boolean(),
+  rateLimitTier: Joi.string(),
+  methods: Joi.array().items(Joi.string().uppercase().valid(...HTTP_METHODS)).min(1),
+  stripPath: Joi.boolean(),
+  rewrite: rewriteSchema,
+  preserveHost: Joi.boolean(),
+  changeOrigin: Joi.boolean(),
+  streaming: Joi.boolean(),
+  websocket: Joi.boolean()
+}).custom((route, helpers) => {
+  const proxied = !route.type || route.type === 'proxy';
+  if (proxied && !route.target && !route.targets && !route.splits) {
+    return helpers.message('Route needs a "target", "targets" or "splits" unless it is a static, redirect or aggregate route');
+  }
+  return route;
+});
+
+const tierSchema = Joi.object({
+  requests: Joi.number().integer().positive().required(),
+  windowMs: Joi.number().integer().positive().required()
+});
+
+const connectionPoolSchema = Joi.object({
+  maxSockets: Joi.number().integer().positive(),
+  maxFreeSockets: Joi.number().integer().min(0),
+  keepAliveTimeout: Joi.number().integer().positive(),
+  queueTimeout: Joi.number().integer().positive()
+});
+
+const gatewayConfigSchema = Joi.object({
+  rateLimiting: Joi.object({
+    defaultRequests: Joi.number().integer().positive(),
+    defaultWindowMs: Joi.number().integer().positive(),
+    tiers: Joi.object().pattern(Joi.string(), tierSchema)
+  }),
+  circuitBreaker: circuitBreakerSchema,
+  // Pool settings keyed by service ("host:port"), on top of the defaults
+  connectionPools: Joi.object({
+    defaults: connectionPoolSchema,
+    services: Joi.object().pattern(Joi.string(), connectionPoolSchema)
+  }),
+  bulkheads: Joi.object({
+    defaults: bulkheadSchema,
+    services: Joi.object().pattern(Joi.string(), bulkheadSchema)
+  }),
+  routes: Joi.array().items(routeSchema).unique('id', { ignoreUndefined: true }).required()
+});
+
+// Checks the parts of a route that refer to other config, which Joi cannot see from the route alone
+function findReferenceErrors(route, tiers, pathPrefix = '') {
+  const errors = [];
+
+  if (route.rateLimitTier && !tiers[route.rateLimitTier]) {
+    errors.push({
+      path: `${pathPrefix}rateLimitTier`,
+      message: `Unknown rate limit tier "${route.rateLimitTier}"`
+    });
+  }
+
+  return errors;
+}
+
+function formatValidationErrors(error) {
+  return error.details.map(detail => ({
+    path: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+module.exports = {
+  HTTP_METHODS,
+  LOAD_BALANCING_STRATEGIES,
+  ROUTE_TYPES,
+  routeSchema,
+  tierSchema,
+  circuitBreakerSchema,
+  connectionPoolSchema,
+  gatewayConfigSchema,
+  findReferenceErrors,
+  formatValidationErrors
+};
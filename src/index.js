@@ -1,11 +1,21 @@
 const config = require('./config');
+const ConfigLoader = require('./config/loader');
+const RouteStore = require('./config/routeStore');
 const ErrorHandler = require('./utils/errorHandler');
+const CircuitBreakerStore = require('./utils/circuitBreakerStore');
 const EntryLayer = require('./layers/entry');
 const AuthLayer = require('./layers/auth');
 const RateLimitLayer = require('./layers/rateLimit');
 const RoutingLayer = require('./layers/routing');
 const ForwardingLayer = require('./layers/forwarding');
+const CacheLayer = require('./layers/cache');
+const AggregationLayer = require('./layers/aggregation');
+const FallbackLayer = require('./layers/fallback');
+const MirrorLayer = require('./layers/mirror');
+const StaticResponseLayer = require('./layers/staticResponse');
+const WebSocketLayer = require('./layers/websocket');
 const HealthCheck = require('./layers/health');
+const HealthProber = require('./layers/healthProber');
 const logger = require('./layers/logging');
 const metrics = require('./layers/metrics');
 
@@ -16,7 +26,15 @@ class ApiGateway {
     this.rateLimitLayer = null;
     this.routingLayer = null;
     this.forwardingLayer = null;
+    this.cacheLayer = null;
+    this.fallbackLayer = null;
+    this.mirrorLayer = null;
     this.healthCheck = null;
+    this.healthProber = null;
+    this.configLoader = null;
+    this.routeStore = null;
+    this.routeChanges = Promise.resolve();
+    this.circuitBreakerStore = null;
     this.server = null;
     this.isShuttingDown = false;
   }
@@ -32,8 +50,39 @@ class ApiGateway {
       this.entryLayer = new EntryLayer();
       this.authLayer = new AuthLayer();
       this.rateLimitLayer = new RateLimitLayer();
-      this.routingLayer = new RoutingLayer();
+      this.routingLayer = new RoutingLayer({ rateLimitLayer: this.rateLimitLayer });
       this.forwardingLayer = new ForwardingLayer();
+      this.fallbackLayer = new FallbackLayer({ forwardingLayer: this.forwardingLayer });
+      this.forwardingLayer.setFallbackLayer(this.fallbackLayer);
+      this.mirrorLayer = new MirrorLayer({ forwardingLayer: this.forwardingLayer });
+      this.forwardingLayer.setMirrorLayer(this.mirrorLayer);
+      this.cacheLayer = new CacheLayer({
+        forwardingLayer: this.forwardingLayer,
+        redisLayer: this.rateLimitLayer
+      });
+      this.staticResponseLayer = new StaticResponseLayer();
+      this.aggregationLayer = new AggregationLayer({ forwardingLayer: this.forwardingLayer });
+      this.webSocketLayer = new WebSocketLayer({
+        entryLayer: this.entryLayer,
+        authLayer: this.authLayer,
+        rateLimitLayer: this.rateLimitLayer,
+        routingLayer: this.routingLayer,
+        forwardingLayer: this.forwardingLayer
+      });
+      this.healthProber = new HealthProber({
+        routingLayer: this.routingLayer,
+        forwardingLayer: this.forwardingLayer
+      });
+      this.entryLayer.setBodyParserFilter(req => !this.routingLayer.isStreamingRequest(req));
+
+      if (config.routesFile.path) {
+        this.configLoader = new ConfigLoader(config.routesFile.path);
+        this.configLoader.load(gatewayConfig => this.applyGatewayConfig(gatewayConfig));
+
+        if (config.routesFile.watch) {
+          this.configLoader.watch((gatewayConfig) => this.applyGatewayConfig(gatewayConfig));
+        }
+      }
       
       // Initialize Redis for rate limiting (graceful failure)
       try {
@@ -43,16 +92,124 @@ class ApiGateway {
         logger.logSystem('warn', 'Redis not available, rate limiting will fail-open', { error: error.message });
       }
 
+      if (config.circuitBreakerStore.backend === 'redis') {
+        await this.initializeCircuitBreakerStore();
+      }
+
+      this.routeStore = new RouteStore({ redisLayer: this.rateLimitLayer });
+      try {
+        await this.loadStoredRoutes();
+      } catch (error) {
+        logger.logSystem('warn', 'Could not load stored route changes', {
+          backend: this.routeStore.backend,
+          error: error.message
+        });
+      }
+
       this.healthCheck = new HealthCheck();
+      this.healthCheck.setRoutingLayer(this.routingLayer);
       this.healthCheck.registerDependency('redis', () => this.rateLimitLayer.healthCheck());
       this.healthCheck.registerDependency('metrics', () => ({ status: 'healthy', message: 'Metrics collecting' }));
       this.healthCheck.registerDependency('forwardingLayer', () => this.forwardingLayer.getHealthStatus());
+      this.healthCheck.registerDependency('upstreams', () => this.healthProber.healthCheck());
 
       logger.logSystem('info', 'All layers initialized successfully');
     } catch (error) {
-      logger.logSystem('error', 'Failed to initialize gateway', { error: error.message });
+      logger.logSystem('error', 'Failed to initialize gateway', {
+        error: error.message,
+        details: error.details
+      });
+      throw error;
+    }
+  }
+
+  async initializeCircuitBreakerStore() {
+    this.circuitBreakerStore = new CircuitBreakerStore({ redisLayer: this.rateLimitLayer });
+
+    // Breakers use the store whenever Redis is reachable and fall back to local state otherwise
+    this.forwardingLayer.setCircuitBreakerStore(this.circuitBreakerStore);
+    try {
+      await this.circuitBreakerStore.initialize(event => this.forwardingLayer.applyCircuitBreakerEvent(event));
+    } catch (error) {
+      logger.logSystem('warn', 'Redis not available, circuit breakers will use local state until it is', {
+        error: error.message
+      });
+    }
+  }
+
+  // Routes are compiled first, so a config that cannot be applied leaves everything as it was
+  applyGatewayConfig(gatewayConfig) {
+    const applyRoutes = this.routingLayer.prepareRoutes(gatewayConfig.routes);
+
+    if (gatewayConfig.rateLimiting) {
+      this.rateLimitLayer.updateTiers(gatewayConfig.rateLimiting);
+    }
+
+    if (gatewayConfig.circuitBreaker) {
+      this.forwardingLayer.configureCircuitBreakers(gatewayConfig.circuitBreaker);
+    }
+
+    if (gatewayConfig.connectionPools) {
+      this.forwardingLayer.configureConnectionPools(gatewayConfig.connectionPools);
+    }
+
+    if (gatewayConfig.bulkheads) {
+      this.forwardingLayer.configureBulkheads(gatewayConfig.bulkheads);
+    }
+
+    applyRoutes();
+  }
+
+  // Stored changes go under any made in memory since, which are newer
+  async loadStoredRoutes() {
+    const stored = await this.routeStore.load();
+    this.routingLayer.setOverrides([...stored, ...this.routingLayer.getOverrides()]);
+  }
+
+  createRouteStoreError(error) {
+    return ErrorHandler.createError(
+      'Failed to persist route change',
+      503,
+      'ROUTE_STORE_UNAVAILABLE',
+      { backend: this.routeStore.backend, originalError: error.message }
+    );
+  }
+
+  // Admin route changes run one at a time, so a rollback only ever undoes its own change
+  persistRouteChange(change) {
+    const run = this.routeChanges.then(() => this.applyRouteChange(change));
+    this.routeChanges = run.catch(() => {});
+    return run;
+  }
+
+  async applyRouteChange(change) {
+    // A store that could not be read at startup is read now, before a save could overwrite it
+    if (!this.routeStore.loaded) {
+      try {
+        await this.loadStoredRoutes();
+      } catch (error) {
+        throw this.createRouteStoreError(error);
+      }
+    }
+
+    const previous = this.routingLayer.getOverrides();
+    let result;
+
+    try {
+      result = change();
+    } catch (error) {
+      this.routingLayer.setOverrides(previous);
       throw error;
     }
+
+    try {
+      await this.routeStore.save(this.routingLayer.getOverrides());
+    } catch (error) {
+      this.routingLayer.setOverrides(previous);
+      throw this.createRouteStoreError(error);
+    }
+
+    return result;
   }
 
   setupMiddleware() {
@@ -66,6 +223,9 @@ class ApiGateway {
     app.use(this.routingLayer.middleware());
     app.use(this.createConditionalAuthMiddleware());
     app.use(this.createConditionalRateLimitMiddleware());
+    app.use(this.staticResponseLayer.middleware());
+    app.use(this.aggregationLayer.middleware());
+    app.use(this.cacheLayer.middleware());
     app.use(this.forwardingLayer.middleware());
     app.use(ErrorHandler.middleware());
 
@@ -102,27 +262,62 @@ class ApiGateway {
   }
 
   setupAdminRoutes(app) {
+    // Anything that changes routing, cache, breaker or rate limit state needs an admin token
+    const requireAdmin = [this.authLayer.requireAuth(), this.authLayer.requireRole(['admin'])];
+
     app.get('/admin/metrics', (req, res) => {
       const detailed = req.query.detailed === 'true';
       const data = detailed ? metrics.getMetrics() : metrics.getSummary();
-      res.json(data);
+      res.json({
+        ...data,
+        connectionPools: this.forwardingLayer.getConnectionPoolStats(),
+        retryBudgets: this.forwardingLayer.getRetryBudgetStates(),
+        bulkheads: this.forwardingLayer.getBulkheadStates()
+      });
     });
 
     app.get('/admin/circuit-breakers', (req, res) => {
       res.json(this.forwardingLayer.getCircuitBreakerStates());
     });
 
-    app.post('/admin/circuit-breakers/:service/reset', (req, res) => {
+    app.post('/admin/circuit-breakers/:service/reset', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
       const serviceName = req.params.service;
-      const success = this.forwardingLayer.resetCircuitBreaker(serviceName);
+      const result = await this.forwardingLayer.resetCircuitBreaker(serviceName);
       
-      if (success) {
-        res.json({ message: `Circuit breaker reset for ${serviceName}` });
+      if (result.reset > 0 || result.broadcast) {
+        res.json({
+          message: `Circuit breaker reset for ${serviceName}`,
+          scope: result.broadcast ? 'all-instances' : 'local',
+          breakers: result.reset
+        });
       } else {
         res.status(404).json({ error: `Service ${serviceName} not found` });
       }
+    }));
+
+    app.get('/admin/mirrors', (req, res) => {
+      res.json(this.mirrorLayer.getReport(req.query.route || null));
+    });
+
+    app.get('/admin/cache', (req, res) => {
+      res.json(this.cacheLayer.getStats());
     });
 
+    app.delete('/admin/cache', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const prefix = req.query.prefix || '';
+      const purged = await this.cacheLayer.purge(prefix);
+      res.json({ message: prefix ? `Purged cache keys starting with ${prefix}` : 'Purged the response cache', purged });
+    }));
+
+    app.delete('/admin/cache/routes/:id', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      if (!this.routingLayer.getRoute(req.params.id)) {
+        throw this.routingLayer.createRouteNotFoundError(req.params.id);
+      }
+
+      const purged = await this.cacheLayer.purgeRoute(req.params.id);
+      res.json({ message: `Purged cache for route ${req.params.id}`, purged });
+    }));
+
     app.get('/admin/rate-limits/:identifier', ErrorHandler.asyncHandler(async (req, res) => {
       const identifier = req.params.identifier;
       const tier = req.query.tier || 'basic';
@@ -135,7 +330,7 @@ class ApiGateway {
       }
     }));
 
-    app.post('/admin/rate-limits/:identifier/reset', ErrorHandler.asyncHandler(async (req, res) => {
+    app.post('/admin/rate-limits/:identifier/reset', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
       const identifier = req.params.identifier;
       const tier = req.query.tier || 'basic';
       
@@ -150,9 +345,108 @@ class ApiGateway {
     app.get('/admin/routes', (req, res) => {
       const routes = this.routingLayer.getRoutes();
       const stats = this.routingLayer.getStats();
-      res.json({ routes, stats });
+      const source = this.configLoader ? this.configLoader.getStatus() : { file: null };
+      res.json({ routes, stats, source, store: this.routeStore.getStatus() });
     });
 
+    app.get('/admin/routes/explain', (req, res, next) => {
+      if (!req.query.path) {
+        return next(ErrorHandler.handleValidationError([
+          { path: 'path', message: 'Query parameter "path" is required' }
+        ]));
+      }
+
+      const headers = {};
+      [].concat(req.query.header || []).forEach(header => {
+        const index = header.indexOf(':');
+        if (index > 0) {
+          headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+        }
+      });
+
+      const explanation = this.routingLayer.explain({
+        method: req.query.method,
+        url: req.query.path,
+        host: req.query.host,
+        headers
+      });
+
+      if (explanation.matched) {
+        const route = this.routingLayer.compiledRoutes.find(r => r.id === explanation.route.id);
+        explanation.targets = this.forwardingLayer.describeTargets(route);
+      }
+
+      res.json(explanation);
+    });
+
+    app.get('/admin/routes/:id', (req, res, next) => {
+      const route = this.routingLayer.getRoute(req.params.id);
+      if (!route) {
+        return next(this.routingLayer.createRouteNotFoundError(req.params.id));
+      }
+      res.json(route);
+    });
+
+    app.post('/admin/routes', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const route = await this.persistRouteChange(() => this.routingLayer.addRoute(req.body || {}));
+      res.status(201).json(route);
+    }));
+
+    app.put('/admin/routes/:id', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const { route, created } = await this.persistRouteChange(
+        () => this.routingLayer.updateRoute(req.params.id, req.body || {})
+      );
+      res.status(created ? 201 : 200).json(route);
+    }));
+
+    app.patch('/admin/routes/:id', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const route = await this.persistRouteChange(
+        () => this.routingLayer.patchRoute(req.params.id, req.body || {})
+      );
+      res.json(route);
+    }));
+
+    app.get('/admin/routes/:id/rewrite-preview', (req, res, next) => {
+      if (!req.query.url) {
+        return next(ErrorHandler.handleValidationError([
+          { path: 'url', message: 'Query parameter "url" is required' }
+        ]));
+      }
+
+      try {
+        res.json(this.routingLayer.previewRewrite(req.params.id, req.query.url, req.query.method));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.get('/admin/routes/:id/splits', (req, res, next) => {
+      const route = this.routingLayer.getRoute(req.params.id);
+      if (!route) {
+        return next(this.routingLayer.createRouteNotFoundError(req.params.id));
+      }
+      res.json({
+        id: route.id,
+        splits: route.splits || [],
+        metrics: metrics.getSplitMetrics(route.id)
+      });
+    });
+
+    app.patch('/admin/routes/:id/splits', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const route = await this.persistRouteChange(
+        () => this.routingLayer.setSplitWeights(req.params.id, req.body || {})
+      );
+      res.json({ id: route.id, splits: route.splits });
+    }));
+
+    app.delete('/admin/routes/:id', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+      const removed = await this.persistRouteChange(() => this.routingLayer.removeRouteById(req.params.id));
+      if (!removed) {
+        throw this.routingLayer.createRouteNotFoundError(req.params.id);
+      }
+      res.status(204).end();
+    }));
+
     if (config.server.nodeEnv === 'development') {
       app.post('/admin/test-token', (req, res) => {
         const { userId, username, roles, tier } = req.body;
@@ -180,7 +474,7 @@ class ApiGateway {
         logger.logSystem('info', 'API Gateway started', {
           port: config.server.port,
           environment: config.server.nodeEnv,
-          routes: config.routes.length,
+          routes: this.routingLayer.routes.length,
           pid: process.pid
         });
 
@@ -189,6 +483,8 @@ class ApiGateway {
         console.log(` Metrics: http://localhost:${config.server.port}/admin/metrics`);
         console.log(` Admin: http://localhost:${config.server.port}/admin/`);
       });
+      this.webSocketLayer.attach(this.server);
+      this.healthProber.start();
 
       this.setupGracefulShutdown();
 
@@ -210,18 +506,36 @@ class ApiGateway {
 
       try {
         this.healthCheck.markNotReady('Shutting down');
+        if (this.configLoader) {
+          this.configLoader.close();
+        }
+        this.healthProber.stop();
+
+        if (this.webSocketLayer) {
+          await this.webSocketLayer.close();
+          logger.logSystem('info', 'WebSocket connections closed');
+        }
+
         if (this.server) {
           this.server.close(() => {
             logger.logSystem('info', 'HTTP server closed');
           });
         }
 
+        if (this.circuitBreakerStore) {
+          await this.circuitBreakerStore.close();
+        }
+
         if (this.rateLimitLayer) {
           await this.rateLimitLayer.close();
           logger.logSystem('info', 'Redis connection closed');
         }
         await new Promise(resolve => setTimeout(resolve, 5000));
 
+        if (this.forwardingLayer) {
+          this.forwardingLayer.close();
+        }
+
         logger.logSystem('info', 'Graceful shutdown completed');
         process.exit(0);
 
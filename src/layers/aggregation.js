@@ -0,0 +1,188 @@
+const ErrorHandler = require('../utils/errorHandler');
+const { renderTemplate } = require('../utils/template');
+const logger = require('./logging');
+
+// Request headers that describe the inbound body or cache state, neither of which applies to a sub-call
+const DROPPED_HEADERS = [
+  'content-length',
+  'content-type',
+  'transfer-encoding',
+  'if-none-match',
+  'if-modified-since'
+];
+
+const encodeValue = value => encodeURIComponent(String(value));
+
+// Answers `aggregate` routes by calling several upstreams through the forwarding layer and
+// merging their JSON bodies into one document keyed by call name. A call waits for the
+// calls in its `dependsOn`, and can use their results as `{{results.<name>.<field>}}`.
+class AggregationLayer {
+  constructor({ forwardingLayer }) {
+    this.forwardingLayer = forwardingLayer;
+  }
+
+  getTemplateVariables(req, results) {
+    const route = req.context.route;
+
+    return {
+      params: route.params,
+      query: req.query,
+      user: req.context.user,
+      requestId: req.requestId,
+      results
+    };
+  }
+
+  // Each call is forwarded as its own route, so it gets its own timeout, retries and
+  // circuit breaker (keyed by call) while sharing pools and health state with its service
+  buildCallRoute(route, call, targetPath) {
+    return {
+      id: `${route.id}.${call.name}`,
+      target: call.target,
+      targets: [{ url: call.target, weight: 1 }],
+      loadBalancing: { strategy: 'round-robin' },
+      targetPath,
+      timeout: call.timeout,
+      retries: call.retries,
+      retryPolicy: route.retryPolicy,
+      circuitBreaker: call.circuitBreaker || {},
+      bulkhead: route.bulkhead,
+      preserveHost: false,
+      streaming: false
+    };
+  }
+
+  buildCallRequest(req, call, variables) {
+    const headers = { ...req.headers, accept: 'application/json' };
+    DROPPED_HEADERS.forEach(header => {
+      delete headers[header];
+    });
+    Object.entries(renderTemplate(call.headers, variables)).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    return Object.create(req, {
+      method: { value: call.method, enumerable: true },
+      headers: { value: headers, enumerable: true },
+      body: { value: call.body === undefined ? undefined : renderTemplate(call.body, variables), enumerable: true },
+      context: { value: { ...req.context }, enumerable: true }
+    });
+  }
+
+  describeFailure(error) {
+    if (error instanceof ErrorHandler.GatewayError) {
+      return { statusCode: error.statusCode, error: error.errorCode, message: error.message };
+    }
+    return { statusCode: 502, error: 'BAD_GATEWAY', message: error.message };
+  }
+
+  async executeCall(req, route, call, results) {
+    const variables = this.getTemplateVariables(req, results);
+    const targetPath = renderTemplate(call.path, variables, encodeValue);
+    const callRoute = this.buildCallRoute(route, call, targetPath);
+
+    try {
+      const response = await this.forwardingLayer.executeRequest(this.buildCallRequest(req, call, variables), callRoute);
+
+      if (response.status >= 400) {
+        return {
+          failure: {
+            statusCode: response.status >= 500 ? 502 : response.status,
+            error: 'UPSTREAM_ERROR',
+            message: `Upstream responded with ${response.status}`
+          }
+        };
+      }
+      return { data: response.data === '' ? null : response.data };
+    } catch (error) {
+      return { failure: this.describeFailure(error) };
+    }
+  }
+
+  // Calls start as soon as everything they depend on has finished, so independent calls run in parallel
+  async runCalls(req, route) {
+    const calls = route.aggregate.calls;
+    const byName = new Map(calls.map(call => [call.name, call]));
+    const outcomes = new Map();
+    const results = {};
+
+    const run = (call) => {
+      if (!outcomes.has(call.name)) {
+        outcomes.set(call.name, (async () => {
+          const dependencies = await Promise.all(call.dependsOn.map(name => run(byName.get(name))));
+          const failedIndex = dependencies.findIndex(outcome => outcome.failure);
+
+          const outcome = failedIndex === -1
+            ? await this.executeCall(req, route, call, results)
+            : {
+              failure: {
+                statusCode: 502,
+                error: 'DEPENDENCY_FAILED',
+                message: `Depends on call ${call.dependsOn[failedIndex]}, which failed`
+              }
+            };
+
+          if (!outcome.failure) {
+            results[call.name] = outcome.data;
+          }
+          return outcome;
+        })());
+      }
+      return outcomes.get(call.name);
+    };
+
+    await Promise.all(calls.map(run));
+    return { outcomes, results };
+  }
+
+  async sendAggregate(req, res) {
+    const route = req.context.route;
+    const { outcomes, results } = await this.runCalls(req, route);
+    const body = {};
+    const errors = [];
+
+    for (const call of route.aggregate.calls) {
+      const { failure } = await outcomes.get(call.name);
+
+      if (failure && !call.optional) {
+        throw ErrorHandler.handleAggregationError(call.name, failure);
+      }
+      if (failure) {
+        errors.push({ call: call.name, error: failure.error, message: failure.message });
+      }
+      body[call.name] = failure ? null : results[call.name];
+    }
+
+    if (errors.length > 0) {
+      body.errors = errors;
+      res.setHeader('X-Gateway-Partial', errors.map(error => error.call).join(','));
+
+      logger.logSystem('warn', 'Serving partial aggregate response', {
+        requestId: req.requestId,
+        routeId: route.id,
+        failedCalls: errors.map(error => error.call)
+      });
+    }
+
+    res.setHeader('X-Gateway-Service', 'api-gateway');
+    res.status(200).json(body);
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const route = req.context.route;
+
+      if (!route || route.type !== 'aggregate') {
+        return next();
+      }
+
+      try {
+        await this.sendAggregate(req, res);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = AggregationLayer;
@@ -8,11 +8,12 @@ class AuthLayer {
     this.jwtSecret = config.jwt.secret;
   }
 
-  extractToken(req) {
+  extractToken(req, { allowQueryToken = false } = {}) {
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
-      return null;
+      // Browsers cannot set headers on a WebSocket handshake, so the token may come in the URL
+      return allowQueryToken ? req.query?.[config.websocket.tokenQueryParam] || null : null;
     }
   
     if (authHeader.startsWith('Bearer ')) {
@@ -0,0 +1,382 @@
+const config = require('../config');
+const LruCache = require('../utils/lruCache');
+const RedisCache = require('../utils/redisCache');
+const logger = require('./logging');
+const metrics = require('./metrics');
+
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 404, 410];
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Responses with a validator are kept this long past staleness so they can be revalidated instead of refetched
+const VALIDATOR_RETENTION_MS = 5 * 60 * 1000;
+
+const UNCACHED_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'set-cookie',
+  'content-length',
+  'age',
+  'x-request-id'
+];
+
+function parseCacheControl(value = '') {
+  const directives = {};
+
+  String(value).split(',').forEach(part => {
+    const [name, directiveValue] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = directiveValue === undefined ? true : directiveValue.replace(/^"|"$/g, '');
+    }
+  });
+
+  return directives;
+}
+
+function secondsToMs(value) {
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+function stripValidator(etag) {
+  return etag.trim().replace(/^W\//, '');
+}
+
+// HTTP cache for GET requests on routes with `cache` set. Sits in front of the forwarding
+// layer: hits are answered here, misses and revalidations go through forwarding as usual.
+class CacheLayer {
+  constructor({ forwardingLayer, redisLayer = null }) {
+    this.forwardingLayer = forwardingLayer;
+    this.memory = new LruCache({ maxEntries: config.cache.maxEntries, maxBytes: config.cache.maxBytes });
+    this.redis = config.cache.backend === 'redis'
+      ? new RedisCache({ redisLayer, keyPrefix: config.cache.keyPrefix })
+      : null;
+    this.revalidating = new Set();
+  }
+
+  // Redis when configured and reachable, the in-memory LRU otherwise
+  getStore() {
+    return this.redis && this.redis.isAvailable() ? this.redis : this.memory;
+  }
+
+  async safely(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      logger.logSystem('warn', 'Response cache unavailable', { error: error.message });
+      return fallback;
+    }
+  }
+
+  isCacheable(req, route) {
+    if (!route.cache || route.splits || route.streaming || req.method !== 'GET') {
+      return false;
+    }
+    return !parseCacheControl(req.headers['cache-control'])['no-store'];
+  }
+
+  buildKey(req, route) {
+    const partition = route.cache.partitionByUser && req.context.user ? `user:${req.context.user.id}` : 'shared';
+    return `${route.id}:${partition}:${req.method}:${req.originalUrl}`;
+  }
+
+  variantKey(key, vary, req) {
+    return `${key}#${vary.map(header => `${header}=${req.headers[header] || ''}`).join('&')}`;
+  }
+
+  // A response with Vary is stored under a key that includes the varied request headers;
+  // the base key then only records which headers those are
+  async lookup(req, key) {
+    const store = this.getStore();
+    const stored = await store.get(key);
+
+    if (stored && !stored.status) {
+      return store.get(this.variantKey(key, stored.vary, req));
+    }
+    return stored;
+  }
+
+  async writeEntry(req, key, entry) {
+    const store = this.getStore();
+    const hasValidator = entry.etag || entry.lastModified;
+    const retention = entry.staleUntil - Date.now() + (hasValidator ? VALIDATOR_RETENTION_MS : 0);
+
+    if (entry.vary.length > 0) {
+      await store.set(key, { vary: entry.vary }, retention);
+      await store.set(this.variantKey(key, entry.vary, req), entry, retention);
+    } else {
+      await store.set(key, entry, retention);
+    }
+  }
+
+  // Returns how long a response stays fresh and may be served stale, or null if it must not be stored
+  getFreshness(headers, route, req) {
+    const directives = parseCacheControl(headers['cache-control']);
+    const partitioned = route.cache.partitionByUser;
+
+    if (directives['no-store'] || (directives.private && !partitioned)) {
+      return null;
+    }
+
+    // A shared entry for an authenticated request needs the upstream's explicit permission
+    const authenticated = req.context.user || req.headers.authorization;
+    if (authenticated && !partitioned && !directives.public && !directives['s-maxage']) {
+      return null;
+    }
+
+    let ttl = secondsToMs(directives['s-maxage']) ?? secondsToMs(directives['max-age']);
+    if (ttl === null && headers.expires) {
+      const expires = Date.parse(headers.expires);
+      ttl = Number.isNaN(expires) ? 0 : expires - (Date.parse(headers.date) || Date.now());
+    }
+    if (ttl === null) {
+      ttl = route.cache.ttl;
+    }
+    if (directives['no-cache']) {
+      ttl = 0;
+    }
+
+    return {
+      ttl: Math.max(ttl, 0),
+      staleWhileRevalidate: secondsToMs(directives['stale-while-revalidate']) ?? route.cache.staleWhileRevalidate
+    };
+  }
+
+  createEntry(status, headers, body, freshness) {
+    const now = Date.now();
+    const stored = {};
+
+    Object.entries(headers).forEach(([name, value]) => {
+      if (!UNCACHED_HEADERS.includes(name.toLowerCase())) {
+        stored[name.toLowerCase()] = value;
+      }
+    });
+
+    return {
+      status,
+      headers: stored,
+      body,
+      vary: String(stored.vary || '').split(',').map(header => header.trim().toLowerCase()).filter(Boolean),
+      etag: stored.etag || null,
+      lastModified: stored['last-modified'] || null,
+      storedAt: now,
+      freshUntil: now + freshness.ttl,
+      staleUntil: now + freshness.ttl + freshness.staleWhileRevalidate
+    };
+  }
+
+  async store(req, route, key, response) {
+    if (response.fallback || !CACHEABLE_STATUSES.includes(response.status) || response.headers['set-cookie']) {
+      return false;
+    }
+
+    const freshness = this.getFreshness(response.headers, route, req);
+    if (!freshness) {
+      return false;
+    }
+
+    const body = Buffer.isBuffer(response.data) ? response.data : Buffer.from(response.data || '');
+    const entry = this.createEntry(response.status, { ...response.headers }, body, freshness);
+
+    if (entry.vary.includes('*') || body.length > config.cache.maxEntryBytes) {
+      return false;
+    }
+    if (freshness.ttl === 0 && !entry.etag && !entry.lastModified) {
+      return false;
+    }
+
+    await this.writeEntry(req, key, entry);
+    metrics.recordCache(route.id, 'stored');
+    return true;
+  }
+
+  // Applies a 304 from the upstream: its headers replace the stored ones and restart freshness
+  async refresh(req, route, key, entry, notModified) {
+    const headers = { ...entry.headers, ...notModified.headers };
+    const freshness = this.getFreshness(headers, route, req);
+
+    if (!freshness) {
+      await this.getStore().delete(key);
+      return entry;
+    }
+
+    const refreshed = this.createEntry(entry.status, headers, entry.body, freshness);
+    await this.writeEntry(req, key, refreshed);
+    return refreshed;
+  }
+
+  // The client's own validators are dropped so the upstream answers with a body we can
+  // store; a stale entry's validators are sent instead so it can be revalidated
+  createUpstreamRequest(req, entry = null) {
+    const headers = { ...req.headers };
+    delete headers['if-none-match'];
+    delete headers['if-modified-since'];
+
+    if (entry?.etag) {
+      headers['if-none-match'] = entry.etag;
+    }
+    if (entry?.lastModified) {
+      headers['if-modified-since'] = entry.lastModified;
+    }
+
+    return Object.create(req, { headers: { value: headers, enumerable: true } });
+  }
+
+  matchesValidator(req, entry) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && entry.etag) {
+      return ifNoneMatch.trim() === '*' ||
+        ifNoneMatch.split(',').map(stripValidator).includes(stripValidator(entry.etag));
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    if (!ifNoneMatch && !Number.isNaN(ifModifiedSince) && entry.lastModified) {
+      return Date.parse(entry.lastModified) <= ifModifiedSince;
+    }
+    return false;
+  }
+
+  serveEntry(req, res, entry, cacheStatus) {
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('Age', Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)));
+    res.setHeader('X-Cache', cacheStatus);
+    res.setHeader('X-Gateway-Service', 'api-gateway');
+    res.setHeader('X-Request-ID', req.requestId);
+
+    if (this.matchesValidator(req, entry)) {
+      return res.status(304).end();
+    }
+    return res.status(entry.status).send(entry.body);
+  }
+
+  revalidateInBackground(req, route, key, entry) {
+    const id = entry.vary.length > 0 ? this.variantKey(key, entry.vary, req) : key;
+    if (this.revalidating.has(id)) {
+      return;
+    }
+
+    this.revalidating.add(id);
+    this.revalidate(req, route, key, entry)
+      .catch(error => {
+        logger.logSystem('warn', 'Background cache revalidation failed', {
+          requestId: req.requestId,
+          key,
+          error: error.message
+        });
+      })
+      .finally(() => this.revalidating.delete(id));
+  }
+
+  // A background refresh outlives the client's request, so the client's deadline does not apply to it
+  async revalidate(req, route, key, entry) {
+    const upstreamRequest = Object.create(this.createUpstreamRequest(req, entry), {
+      context: { value: { ...req.context, deadline: null }, enumerable: true }
+    });
+    const response = await this.forwardingLayer.executeRequest(upstreamRequest, route);
+
+    if (response.status === 304) {
+      await this.refresh(req, route, key, entry, response);
+    } else if (!(await this.store(req, route, key, response))) {
+      await this.getStore().delete(key);
+    }
+  }
+
+  async handle(req, res, route) {
+    const key = this.buildKey(req, route);
+    const entry = await this.safely(() => this.lookup(req, key), null);
+    const requestDirectives = parseCacheControl(req.headers['cache-control']);
+    const mustRevalidate = requestDirectives['no-cache'] || requestDirectives['max-age'] === '0';
+    const now = Date.now();
+
+    if (entry && !mustRevalidate) {
+      if (now < entry.freshUntil) {
+        metrics.recordCache(route.id, 'hit');
+        return this.serveEntry(req, res, entry, 'HIT');
+      }
+
+      if (now < entry.staleUntil) {
+        metrics.recordCache(route.id, 'stale');
+        this.revalidateInBackground(req, route, key, entry);
+        return this.serveEntry(req, res, entry, 'STALE');
+      }
+    }
+
+    const response = await this.forwardingLayer.executeWithRetryHeader(this.createUpstreamRequest(req, entry), res, route);
+
+    if (entry && response.status === 304) {
+      metrics.recordCache(route.id, 'revalidated');
+      const refreshed = await this.safely(() => this.refresh(req, route, key, entry, response), entry);
+      return this.serveEntry(req, res, refreshed, 'REVALIDATED');
+    }
+
+    metrics.recordCache(route.id, 'miss');
+    await this.safely(() => this.store(req, route, key, response), false);
+    res.setHeader('X-Cache', 'MISS');
+    return this.forwardingLayer.forwardResponse(response, res, req.requestId);
+  }
+
+  async purge(prefix = '') {
+    let purged = await this.memory.deletePrefix(prefix);
+    if (this.redis && this.redis.isAvailable()) {
+      purged += await this.redis.deletePrefix(prefix);
+    }
+
+    logger.logSystem('info', 'Response cache purged', { prefix, purged });
+    return purged;
+  }
+
+  purgeRoute(routeId) {
+    return this.purge(`${routeId}:`);
+  }
+
+  // A successful write may change anything the route serves, so every entry of the route
+  // goes, for all users. Fallback answers say nothing about the upstream's state.
+  async invalidate(res, route) {
+    if (res.statusCode >= 400 || res.getHeader('X-Gateway-Fallback')) {
+      return;
+    }
+
+    await this.safely(() => this.purgeRoute(route.id), 0);
+    metrics.recordCache(route.id, 'invalidated');
+  }
+
+  getStats() {
+    return {
+      store: this.getStore().getStats(),
+      memory: this.memory.getStats(),
+      revalidating: this.revalidating.size
+    };
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const route = req.context.route;
+
+      if (!route || !route.cache) {
+        return next();
+      }
+
+      if (!this.isCacheable(req, route)) {
+        res.setHeader('X-Cache', 'BYPASS');
+        metrics.recordCache(route.id, 'bypass');
+        if (UNSAFE_METHODS.includes(req.method)) {
+          res.once('finish', () => this.invalidate(res, route));
+        }
+        return next();
+      }
+
+      try {
+        await this.handle(req, res, route);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = CacheLayer;
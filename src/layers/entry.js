@@ -1,12 +1,13 @@
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const { randomUUID } = require('crypto');
 const config = require('../config');
 
 class EntryLayer {
   constructor() {
     this.app = express();
+    this.bodyParserFilter = () => true;
     this.setupMiddleware();
   }
 
@@ -20,21 +21,30 @@ class EntryLayer {
       origin: true, 
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-      credentials: true
+      credentials: true,
+      preflightContinue: true // The routing layer answers preflights with each route's methods
     }));
 
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    this.app.use(this.parseBodyWhen(express.json({ limit: '10mb' })));
+    this.app.use(this.parseBodyWhen(express.urlencoded({ extended: true, limit: '10mb' })));
 
     this.app.use(this.normalizeRequest.bind(this));
     this.app.use(this.validateMethod.bind(this));
     this.app.use(this.enforceGlobalLimits.bind(this));
   }
 
-  
+  // Requests the filter rejects keep their body stream unread for the forwarding layer
+  parseBodyWhen(parser) {
+    return (req, res, next) => (this.bodyParserFilter(req) ? parser(req, res, next) : next());
+  }
+
+  setBodyParserFilter(filter) {
+    this.bodyParserFilter = filter;
+  }
+
   normalizeRequest(req, res, next) {
     
-    req.requestId = req.headers['x-request-id'] || uuidv4();
+    req.requestId = req.headers['x-request-id'] || randomUUID();
     res.setHeader('X-Request-ID', req.requestId);
     req.startTime = Date.now();
 
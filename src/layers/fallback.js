@@ -0,0 +1,163 @@
+const config = require('../config');
+const LruCache = require('../utils/lruCache');
+const logger = require('./logging');
+const metrics = require('./metrics');
+
+// Serves something other than an error for routes with `fallback` set when the upstream
+// call fails, or answers with one of `statusCodes`. Strategies are tried in order:
+// `cache` replays the last successful response for the URL, `target` calls an alternate
+// upstream and `static` returns a configured payload.
+class FallbackLayer {
+  constructor({ forwardingLayer }) {
+    this.forwardingLayer = forwardingLayer;
+    this.lastResponses = new LruCache({
+      maxEntries: config.fallback.maxEntries,
+      maxBytes: config.fallback.maxBytes
+    });
+  }
+
+  // Partitioned by user so a response fetched for one user is never replayed to another
+  buildKey(req, route) {
+    const partition = req.context.user ? `user:${req.context.user.id}` : 'shared';
+    return `${route.id}:${partition}:${req.originalUrl}`;
+  }
+
+  getMaxAge(route) {
+    const strategy = route.fallback.strategies.find(candidate => candidate.type === 'cache');
+    return strategy?.maxAge || config.fallback.maxAge;
+  }
+
+  getTrigger(route, { response, error }) {
+    if (error) {
+      return route.fallback.on.includes(error.errorCode) ? error.errorCode : null;
+    }
+    return route.fallback.statusCodes.includes(response.status) ? `status_${response.status}` : null;
+  }
+
+  async remember(req, route, response) {
+    if (!route.fallback.keepLastResponse || req.method !== 'GET' || response.status >= 300 || !Buffer.isBuffer(response.data)) {
+      return;
+    }
+
+    const headers = { ...response.headers };
+    delete headers['set-cookie'];
+
+    await this.lastResponses.set(this.buildKey(req, route), {
+      status: response.status,
+      headers,
+      body: response.data,
+      storedAt: Date.now()
+    }, this.getMaxAge(route));
+  }
+
+  async fromCache(req, route, strategy) {
+    const stored = await this.lastResponses.get(this.buildKey(req, route));
+    const age = stored ? Date.now() - stored.storedAt : null;
+
+    if (!stored || age > (strategy.maxAge || config.fallback.maxAge)) {
+      return null;
+    }
+
+    return {
+      status: stored.status,
+      headers: { ...stored.headers, age: String(Math.floor(age / 1000)) },
+      data: stored.body
+    };
+  }
+
+  fromStatic(strategy) {
+    const headers = {};
+    Object.entries(strategy.headers || {}).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    return {
+      status: strategy.status || 200,
+      headers,
+      data: strategy.body
+    };
+  }
+
+  // The alternate target gets a single attempt and its own load balancer and breaker key
+  async fromTarget(req, route, strategy) {
+    const alternate = {
+      ...route,
+      id: `${route.id}.fallback`,
+      target: strategy.target,
+      targets: [{ url: strategy.target, weight: 1 }],
+      loadBalancing: { strategy: 'round-robin' },
+      splitName: undefined,
+      timeout: strategy.timeout || route.timeout,
+      retries: 0
+    };
+    const retries = req.context.retries;
+
+    try {
+      const response = await this.forwardingLayer.executeRequest(req, alternate, 0);
+      return this.getTrigger(route, { response }) ? null : response;
+    } finally {
+      req.context.retries = retries;
+    }
+  }
+
+  async tryStrategy(req, route, strategy) {
+    try {
+      if (strategy.type === 'cache') {
+        return await this.fromCache(req, route, strategy);
+      }
+      if (strategy.type === 'target') {
+        return await this.fromTarget(req, route, strategy);
+      }
+      return this.fromStatic(strategy);
+    } catch (error) {
+      logger.logSystem('warn', 'Fallback strategy failed', {
+        requestId: req.requestId,
+        routeId: route.id,
+        type: strategy.type,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Takes the outcome of the upstream call ({ response } or { error }) and returns the response
+  // to send, which is the upstream's own unless it failed in a way the route falls back on
+  async apply(req, res, route, outcome) {
+    const trigger = this.getTrigger(route, outcome);
+
+    if (!trigger) {
+      if (outcome.error) {
+        throw outcome.error;
+      }
+      await this.remember(req, route, outcome.response);
+      return outcome.response;
+    }
+
+    for (const strategy of route.fallback.strategies) {
+      const response = await this.tryStrategy(req, route, strategy);
+      if (!response) {
+        continue;
+      }
+
+      outcome.response?.data?.destroy?.();
+      metrics.recordFallback(route.id, strategy.type, trigger);
+      logger.logSystem('warn', 'Serving fallback response', {
+        requestId: req.requestId,
+        routeId: route.id,
+        type: strategy.type,
+        trigger
+      });
+
+      res.setHeader('X-Gateway-Fallback', strategy.type);
+      return { ...response, fallback: strategy.type };
+    }
+
+    metrics.recordFallback(route.id, null, trigger);
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.response;
+  }
+}
+
+module.exports = FallbackLayer;
@@ -1,148 +1,185 @@
 const axios = require('axios');
+const { pipeline } = require('stream');
 const config = require('../config');
 const ErrorHandler = require('../utils/errorHandler');
 const logger = require('./logging');
+const metrics = require('./metrics');
+const AgentPool = require('../utils/agentPool');
+const Bulkhead = require('../utils/bulkhead');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const LoadBalancer = require('../utils/loadBalancer');
+const RetryBudget = require('../utils/retryBudget');
+const SingleFlight = require('../utils/singleFlight');
+const { formatGrpcTimeout } = require('../utils/deadline');
+const TrafficSplitter = require('../utils/trafficSplitter');
+
+const CIRCUIT_STATES = CircuitBreaker.STATES;
 
-const CIRCUIT_STATES = {
-  CLOSED: 'closed',
-  OPEN: 'open',
-  HALF_OPEN: 'half-open'
-};
-
-class CircuitBreaker {
-  constructor(serviceName, options = {}) {
-    this.serviceName = serviceName;
-    this.failureThreshold = options.failureThreshold || config.circuitBreaker.failureThreshold;
-    this.recoveryTimeout = options.recoveryTimeout || config.circuitBreaker.recoveryTimeout;
-    this.monitorTimeout = options.monitorTimeout || config.circuitBreaker.monitorTimeout;
-    
-    this.state = CIRCUIT_STATES.CLOSED;
-    this.failureCount = 0;
-    this.lastFailureTime = null;
-    this.nextAttempt = null;
-    this.successCount = 0;
-  }
-
-  async execute(requestFn, requestId) {
-    if (this.state === CIRCUIT_STATES.OPEN) {
-      if (Date.now() < this.nextAttempt) {
-        logger.logCircuitBreaker(requestId, this.serviceName, 'blocked', {
-          state: this.state,
-          nextAttempt: new Date(this.nextAttempt).toISOString()
-        });
-        throw ErrorHandler.handleCircuitBreakerError(this.serviceName, this.state);
+class ForwardingLayer {
+  constructor() {
+    this.circuitBreakers = new Map();
+    this.circuitBreakerOptions = {};
+    this.circuitBreakerStore = null;
+    this.fallbackLayer = null;
+    this.mirrorLayer = null;
+    this.unhealthyServices = new Map();
+    this.bulkheads = new Map();
+    this.bulkheadOptions = { defaults: { ...config.bulkheads }, services: {} };
+    this.loadBalancers = new Map();
+    this.retryBudgets = new Map();
+    this.singleFlight = new SingleFlight();
+    this.agentPool = new AgentPool(config.connectionPools);
+    this.axiosInstance = this.createAxiosInstance();
+  }
+
+  createAxiosInstance() {
+    return axios.create({
+      timeout: 30000, 
+      maxRedirects: 5,
+      validateStatus: null, 
+      headers: {
+        'User-Agent': 'API-Gateway/1.0.0'
       }
-      
-      this.state = CIRCUIT_STATES.HALF_OPEN;
-      this.successCount = 0;
-      logger.logCircuitBreaker(requestId, this.serviceName, 'half-open', {
-        previousState: CIRCUIT_STATES.OPEN
-      });
+    });
+  }
+
+  // Routes with their own `circuitBreaker` settings get breakers of their own, so a
+  // stricter route never trips the breaker shared by every other route to that service
+  getCircuitBreakerKey(serviceName, route = null) {
+    return route?.circuitBreaker ? `${serviceName}|${route.id}` : serviceName;
+  }
+
+  getCircuitBreaker(serviceName, route = null) {
+    const key = this.getCircuitBreakerKey(serviceName, route);
+    const overrides = route?.circuitBreaker || null;
+    const breaker = this.circuitBreakers.get(key);
+
+    if (!breaker) {
+      const created = new CircuitBreaker(serviceName, { ...this.circuitBreakerOptions, ...overrides, name: key });
+      created.overrides = overrides;
+      this.circuitBreakers.set(key, created);
+      this.attachCircuitBreakerStore(created);
+      return created;
     }
 
-    try {
-      const result = await requestFn();
-      this.onSuccess(requestId);
-      return result;
-    } catch (error) {
-      this.onFailure(requestId, error);
-      throw error;
+    if (JSON.stringify(breaker.overrides) !== JSON.stringify(overrides)) {
+      breaker.overrides = overrides;
+      breaker.configure({ ...this.circuitBreakerOptions, ...overrides });
     }
+    return breaker;
   }
 
-  onSuccess(requestId) {
-    this.failureCount = 0;
-    
-    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
-      this.successCount++;
-      if (this.successCount >= 3) {
-        this.state = CIRCUIT_STATES.CLOSED;
-        logger.logCircuitBreaker(requestId, this.serviceName, 'closed', {
-          previousState: CIRCUIT_STATES.HALF_OPEN,
-          successCount: this.successCount
-        });
-      } else {
-        logger.logCircuitBreaker(requestId, this.serviceName, 'success', {
-          state: this.state,
-          successCount: this.successCount
-        });
-      }
-    } else {
-      logger.logCircuitBreaker(requestId, this.serviceName, 'success', {
-        state: this.state
-      });
-    }
+  setCircuitBreakerStore(store) {
+    this.circuitBreakerStore = store;
+    this.circuitBreakers.forEach(breaker => this.attachCircuitBreakerStore(breaker));
   }
 
-  onFailure(requestId, error) {
-    this.failureCount++;
-    this.lastFailureTime = Date.now();
+  // A breaker created after another instance opened it starts out open as well
+  attachCircuitBreakerStore(breaker) {
+    if (!this.circuitBreakerStore) {
+      return;
+    }
 
-    logger.logCircuitBreaker(requestId, this.serviceName, 'failure', {
-      state: this.state,
-      failureCount: this.failureCount,
-      error: error.message
+    breaker.setStore(this.circuitBreakerStore);
+    this.circuitBreakerStore.loadState(breaker.name).then(state => {
+      if (state) {
+        breaker.applyRemoteState(state);
+      }
     });
+  }
 
-    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
-      this.state = CIRCUIT_STATES.OPEN;
-      this.nextAttempt = Date.now() + this.recoveryTimeout;
-      logger.logCircuitBreaker(requestId, this.serviceName, 'opened', {
-        reason: 'failure_in_half_open',
-        nextAttempt: new Date(this.nextAttempt).toISOString()
-      });
-    } else if (this.failureCount >= this.failureThreshold) {
-      this.state = CIRCUIT_STATES.OPEN;
-      this.nextAttempt = Date.now() + this.recoveryTimeout;
-      logger.logCircuitBreaker(requestId, this.serviceName, 'opened', {
-        failureCount: this.failureCount,
-        threshold: this.failureThreshold,
-        nextAttempt: new Date(this.nextAttempt).toISOString()
-      });
+  applyCircuitBreakerEvent(event) {
+    if (event.type === 'reset') {
+      this.resetCircuitBreaker(event.serviceName, { broadcast: false });
+      return;
+    }
+
+    const breaker = this.circuitBreakers.get(event.name);
+    if (breaker) {
+      breaker.applyRemoteState(event);
     }
   }
 
-  getState() {
+  configureCircuitBreakers(options) {
+    this.circuitBreakerOptions = { ...options };
+    this.circuitBreakers.forEach(breaker => breaker.configure({ ...this.circuitBreakerOptions, ...breaker.overrides }));
+
+    logger.logSystem('info', 'Circuit breaker settings updated', {
+      ...this.circuitBreakerOptions,
+      services: this.circuitBreakers.size
+    });
+  }
+
+  getBulkheadOptions(serviceName, route = null) {
     return {
-      state: this.state,
-      failureCount: this.failureCount,
-      lastFailureTime: this.lastFailureTime,
-      nextAttempt: this.nextAttempt,
-      successCount: this.successCount
+      ...this.bulkheadOptions.defaults,
+      ...this.bulkheadOptions.services[serviceName],
+      ...route?.bulkhead
     };
   }
 
-  reset() {
-    this.state = CIRCUIT_STATES.CLOSED;
-    this.failureCount = 0;
-    this.lastFailureTime = null;
-    this.nextAttempt = null;
-    this.successCount = 0;
+  // Keyed like circuit breakers: routes with their own `bulkhead` limits get a separate one.
+  // Returns null when the service has no concurrency limit.
+  getBulkhead(serviceName, route = null) {
+    const key = route?.bulkhead ? `${serviceName}|${route.id}` : serviceName;
+    const options = this.getBulkheadOptions(serviceName, route);
+    const existing = this.bulkheads.get(key);
+
+    if (!options.maxConcurrent) {
+      return null;
+    }
+
+    if (!existing) {
+      const bulkhead = new Bulkhead(key, { ...options, serviceName });
+      bulkhead.overrides = route?.bulkhead || null;
+      this.bulkheads.set(key, bulkhead);
+      return bulkhead;
+    }
+
+    if (existing.maxConcurrent !== options.maxConcurrent || existing.maxQueue !== options.maxQueue ||
+      existing.queueTimeout !== options.queueTimeout) {
+      existing.configure(options);
+    }
+    return existing;
   }
-}
 
-class ForwardingLayer {
-  constructor() {
-    this.circuitBreakers = new Map();
-    this.axiosInstance = this.createAxiosInstance();
+  configureBulkheads({ defaults = {}, services = {} } = {}) {
+    this.bulkheadOptions = {
+      defaults: { ...this.bulkheadOptions.defaults, ...defaults },
+      services: { ...services }
+    };
+
+    this.bulkheads.forEach(bulkhead => bulkhead.configure({
+      ...this.bulkheadOptions.defaults,
+      ...this.bulkheadOptions.services[bulkhead.serviceName],
+      ...bulkhead.overrides
+    }));
+
+    logger.logSystem('info', 'Bulkhead settings updated', {
+      defaults: this.bulkheadOptions.defaults,
+      services: Object.keys(services)
+    });
   }
 
-  createAxiosInstance() {
-    return axios.create({
-      timeout: 30000, 
-      maxRedirects: 5,
-      validateStatus: null, 
-      headers: {
-        'User-Agent': 'API-Gateway/1.0.0'
-      }
+  getBulkheadStates() {
+    const states = {};
+    this.bulkheads.forEach((bulkhead, key) => {
+      states[key] = bulkhead.getState();
     });
+    return states;
   }
 
-  getCircuitBreaker(serviceName) {
-    if (!this.circuitBreakers.has(serviceName)) {
-      this.circuitBreakers.set(serviceName, new CircuitBreaker(serviceName));
-    }
-    return this.circuitBreakers.get(serviceName);
+  configureConnectionPools(options) {
+    this.agentPool.configure(options);
+
+    logger.logSystem('info', 'Connection pool settings updated', {
+      defaults: this.agentPool.defaults,
+      services: Object.keys(options.services || {})
+    });
+  }
+
+  getConnectionPoolStats() {
+    return this.agentPool.getStats();
   }
 
   extractServiceName(targetUrl) {
@@ -154,52 +191,317 @@ class ForwardingLayer {
     }
   }
 
+  getLoadBalancer(route) {
+    const key = route.splitName ? `${route.id}:${route.splitName}` : (route.id || route.path);
+    const signature = JSON.stringify([route.targets, route.loadBalancing]);
+    const existing = this.loadBalancers.get(key);
+
+    if (existing && existing.signature === signature) {
+      return existing;
+    }
+
+    const balancer = new LoadBalancer(route.targets, route.loadBalancing);
+    balancer.signature = signature;
+    this.loadBalancers.set(key, balancer);
+    return balancer;
+  }
+
+  isTargetAvailable(target, route = null) {
+    const serviceName = this.extractServiceName(target.url);
+    if (this.unhealthyServices.has(serviceName)) {
+      return false;
+    }
+
+    const breaker = this.circuitBreakers.get(this.getCircuitBreakerKey(serviceName, route));
+    return !breaker || breaker.isAvailable();
+  }
+
+  // Called by the health prober. An unhealthy service is skipped by load balancing and its
+  // breakers are opened so single-target routes fail fast; once it recovers, the next
+  // call is let through as a half-open trial.
+  setServiceHealth(serviceName, healthy, details = {}) {
+    if (healthy) {
+      this.unhealthyServices.delete(serviceName);
+    } else {
+      this.unhealthyServices.set(serviceName, { since: new Date().toISOString(), ...details });
+      this.getCircuitBreaker(serviceName);
+    }
+
+    this.circuitBreakers.forEach(breaker => {
+      if (breaker.serviceName !== serviceName) {
+        return;
+      }
+      if (healthy) {
+        breaker.allowTrial();
+      } else {
+        breaker.forceOpen(null, details);
+      }
+    });
+  }
+
+  selectTarget(req, route, balancer, triedTargets) {
+    const available = route.targets.filter(target => this.isTargetAvailable(target, route));
+    const untried = available.filter(target => !triedTargets.has(target.url));
+
+    // Prefer a healthy target we have not tried yet; only fall back to an already
+    // tried one (single-target routes) or an open one when nothing else is left
+    if (untried.length > 0) {
+      return balancer.select(req, untried);
+    }
+    if (available.length > 0) {
+      return balancer.select(req, available);
+    }
+    return balancer.select(req, route.targets);
+  }
+
+  buildUpstreamUrl(target, targetPath) {
+    return `${target.url.replace(/\/$/, '')}${targetPath}`;
+  }
+
+  applySplit(route, split) {
+    return {
+      ...route,
+      target: split.targets[0].url,
+      targets: split.targets,
+      loadBalancing: split.loadBalancing || route.loadBalancing,
+      splitName: split.name
+    };
+  }
+
   async forwardRequest(req, res, route, maxRetries = null) {
-    const retries = maxRetries !== null ? maxRetries : route.retries;
-    const serviceName = this.extractServiceName(route.target);
-    const circuitBreaker = this.getCircuitBreaker(serviceName);
-    
+    if (!route.splits) {
+      const response = await this.executeWithRetryHeader(req, res, route, maxRetries);
+      return this.forwardResponse(response, res, req.requestId, route.idleTimeout);
+    }
+
+    const { split, forced } = TrafficSplitter.selectSplit(req, res, route);
+    const startTime = Date.now();
+    res.setHeader('X-Route-Version', split.name);
+
+    try {
+      const response = await this.executeWithRetryHeader(req, res, this.applySplit(route, split), maxRetries);
+      metrics.recordSplit(route.id, split.name, response.status, Date.now() - startTime, { forced });
+      return this.forwardResponse(response, res, req.requestId, route.idleTimeout);
+    } catch (error) {
+      metrics.recordSplit(route.id, split.name, error.statusCode || 502, Date.now() - startTime, { forced, error });
+      throw error;
+    }
+  }
+
+  setFallbackLayer(fallbackLayer) {
+    this.fallbackLayer = fallbackLayer;
+  }
+
+  setMirrorLayer(mirrorLayer) {
+    this.mirrorLayer = mirrorLayer;
+  }
+
+  // Mirrored calls start alongside the primary call and never hold it up
+  executeWithRetryHeader(req, res, route, maxRetries) {
+    const primary = this.executePrimary(req, res, route, maxRetries);
+    if (route.mirrors && this.mirrorLayer) {
+      this.mirrorLayer.mirror(req, route, primary);
+    }
+    return primary;
+  }
+
+  async executePrimary(req, res, route, maxRetries) {
+    try {
+      if (!route.fallback || !this.fallbackLayer) {
+        return await this.executeUpstream(req, route, maxRetries);
+      }
+
+      let outcome;
+      try {
+        outcome = { response: await this.executeUpstream(req, route, maxRetries) };
+      } catch (error) {
+        outcome = { error };
+      }
+      return await this.fallbackLayer.apply(req, res, route, outcome);
+    } finally {
+      res.setHeader('X-Gateway-Retries', req.context.retries || 0);
+    }
+  }
+
+  executeUpstream(req, route, maxRetries) {
+    return route.coalesce && !route.streaming && req.method === 'GET'
+      ? this.executeCoalesced(req, route, maxRetries)
+      : this.executeRequest(req, route, maxRetries);
+  }
+
+  // Authenticated callers never share a call with another user. `partitionByUser` only adds
+  // isolation: it also keeps apart anonymous callers whose credentials go to the upstream.
+  getCoalescingPartition(req, route) {
+    if (req.context.user) {
+      return `user:${req.context.user.id}`;
+    }
+    if (route.authRequired || route.coalesce.partitionByUser) {
+      return `credentials:${req.headers.authorization || ''}|${req.headers.cookie || ''}`;
+    }
+    return 'shared';
+  }
+
+  // Conditional headers are always part of the key: a 304 is only an answer to the validator that was sent
+  getCoalescingKey(req, route) {
+    const varied = [...route.coalesce.headers, 'if-none-match', 'if-modified-since']
+      .map(header => `${header}=${req.headers[header] || ''}`)
+      .join('&');
+    const partition = this.getCoalescingPartition(req, route);
+
+    return `${route.id} ${req.method} ${this.buildUpstreamUrl(route.targets[0], route.targetPath)} ${varied} ${partition}`;
+  }
+
+  // Identical GETs arriving while one is in flight wait for its response instead of
+  // making their own upstream call
+  async executeCoalesced(req, route, maxRetries) {
+    const { promise, shared } = this.singleFlight.run(this.getCoalescingKey(req, route), async () => {
+      const response = await this.executeRequest(req, route, maxRetries);
+      return { response, retries: req.context.retries };
+    });
+    metrics.recordCoalescing(route.id, shared);
+
+    const { response, retries } = await promise;
+    req.context.retries = retries;
+    return this.copyResponse(response);
+  }
+
+  // Each caller gets its own copy, so forwarding one can never change what another sends
+  copyResponse(response) {
+    const { data } = response;
+    let copy = data;
+
+    if (Buffer.isBuffer(data)) {
+      copy = Buffer.from(data);
+    } else if (data !== null && typeof data === 'object') {
+      copy = structuredClone(data);
+    }
+
+    return { ...response, headers: { ...response.headers }, data: copy };
+  }
+
+  hasRequestBody(req) {
+    return req.headers['transfer-encoding'] !== undefined ||
+      parseInt(req.headers['content-length'] || '0', 10) > 0;
+  }
+
+  // Small bodies of retryable requests are buffered so a retry can replay them;
+  // everything else is piped straight through and gets a single attempt
+  async prepareStreamingBody(req, retryable) {
+    if (!this.hasRequestBody(req)) {
+      return { data: undefined, replayable: retryable };
+    }
+
+    const contentLength = parseInt(req.headers['content-length'], 10);
+    if (retryable && contentLength <= config.forwarding.maxReplayBodyBytes) {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      return { data: Buffer.concat(chunks), replayable: true };
+    }
+
+    return { data: req, replayable: false };
+  }
+
+  getRetryBudget(serviceName) {
+    if (!this.retryBudgets.has(serviceName)) {
+      this.retryBudgets.set(serviceName, new RetryBudget(config.retryPolicy.budget.windowMs));
+    }
+    return this.retryBudgets.get(serviceName);
+  }
+
+  getBackoffDelay(attempt, { base, cap, jitter }) {
+    const delay = Math.min(base * Math.pow(2, attempt - 1), cap);
+
+    if (jitter === 'full') {
+      return Math.random() * delay;
+    }
+    if (jitter === 'equal') {
+      return delay / 2 + Math.random() * (delay / 2);
+    }
+    return delay;
+  }
+
+  getRetryReason(policy, response, error) {
+    if (response) {
+      return policy.statusCodes.includes(response.status) ? `status_${response.status}` : null;
+    }
+
+    const code = error.errorCode || error.code;
+    return policy.networkErrors.includes(code) ? code : null;
+  }
+
+  async executeRequest(req, route, maxRetries = null) {
+    const policy = route.retryPolicy;
+    const retryable = policy.methods.includes(req.method);
+    const body = route.streaming ? await this.prepareStreamingBody(req, retryable) : null;
+    const retries = retryable && (!body || body.replayable)
+      ? (maxRetries !== null ? maxRetries : route.retries)
+      : 0;
+    const balancer = this.getLoadBalancer(route);
+    const triedTargets = new Set();
+    const deadline = req.context.deadline || null;
+
     let lastError = null;
+    let lastResponse = null;
+    let serviceName = this.extractServiceName(route.target);
+    let delay = 0;
+    req.context.retries = 0;
+
+    if (deadline && Date.now() >= deadline) {
+      throw ErrorHandler.handleDeadlineError(serviceName, deadline);
+    }
 
     for (let attempt = 0; attempt <= retries; attempt++) {
-      const isRetry = attempt > 0;
-      
-      if (isRetry) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        const jitter = Math.random() * 0.1 * delay;
-        await new Promise(resolve => setTimeout(resolve, delay + jitter));
-        
+      const target = this.selectTarget(req, route, balancer, triedTargets);
+      const targetUrl = this.buildUpstreamUrl(target, route.targetPath);
+      serviceName = this.extractServiceName(target.url);
+      triedTargets.add(target.url);
+
+      const circuitBreaker = this.getCircuitBreaker(serviceName, route);
+      const bulkhead = this.getBulkhead(serviceName, route);
+
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        req.context.retries = attempt;
+
         logger.logSystem('info', 'Retrying upstream request', {
           requestId: req.requestId,
           serviceName,
           attempt: attempt + 1,
           maxRetries: retries + 1,
-          delay: delay + jitter
+          delay
         });
+      } else {
+        this.getRetryBudget(serviceName).recordRequest();
       }
 
+      const startTime = Date.now();
+      balancer.acquire(target);
+      lastError = null;
+      lastResponse = null;
+
       try {
-        const startTime = Date.now();
-        
-        const result = await circuitBreaker.execute(async () => {
-          logger.logUpstreamStart(req.requestId, req.method, route.targetUrl, serviceName);
+        // Waiting for a bulkhead slot happens outside the breaker, so a full bulkhead never counts as an upstream failure
+        lastResponse = await this.withBulkhead(bulkhead, () => circuitBreaker.execute(async () => {
+          logger.logUpstreamStart(req.requestId, req.method, targetUrl, serviceName);
           
-          const response = await this.makeRequest(req, route);
+          // No attempt may run past the request deadline, whatever the route's own timeout
+          const timeout = deadline ? Math.max(Math.min(route.timeout, deadline - Date.now()), 1) : route.timeout;
+          const response = await this.makeRequest(req, route, target, body?.data, timeout);
           
           const duration = Date.now() - startTime;
           logger.logUpstreamComplete(
             req.requestId, 
             req.method, 
-            route.targetUrl, 
+            targetUrl, 
             serviceName, 
             response.status, 
             duration
           );
           
           return response;
-        }, req.requestId);
-
-        return this.forwardResponse(result, res, req.requestId);
+        }, req.requestId));
 
       } catch (error) {
         lastError = error;
@@ -208,57 +510,131 @@ class ForwardingLayer {
         logger.logUpstreamComplete(
           req.requestId, 
           req.method, 
-          route.targetUrl, 
+          targetUrl, 
           serviceName, 
           error.response?.status || 0, 
           duration,
           error
         );
+      } finally {
+        balancer.release(target);
+      }
 
-        if (error.errorCode === 'CIRCUIT_BREAKER_OPEN' || 
-            (error.response && [400, 401, 403, 404, 422].includes(error.response.status))) {
-          break;
-        }
+      const reason = this.getRetryReason(policy, lastResponse, lastError);
+      if (!reason || attempt === retries) {
+        break;
       }
+
+      // A retry that could not even start before the deadline would only delay the answer
+      delay = this.getBackoffDelay(attempt + 1, policy.backoff);
+      if (deadline && Date.now() + delay >= deadline) {
+        logger.logSystem('info', 'Skipping retry past request deadline', {
+          requestId: req.requestId,
+          serviceName,
+          reason,
+          remaining: Math.max(deadline - Date.now(), 0)
+        });
+        break;
+      }
+
+      // Retries beyond the service's budget would only add load to an upstream that is already struggling
+      if (!this.getRetryBudget(serviceName).tryAcquire(policy.budget)) {
+        metrics.recordRetry(route.id, reason, { budgetExhausted: true });
+        logger.logSystem('warn', 'Retry budget exhausted', {
+          requestId: req.requestId,
+          serviceName,
+          reason
+        });
+        break;
+      }
+
+      metrics.recordRetry(route.id, reason);
+      lastResponse?.data?.destroy?.();
     }
 
+    if (lastResponse) {
+      return lastResponse;
+    }
+    if (lastError instanceof ErrorHandler.GatewayError) {
+      throw lastError;
+    }
     throw ErrorHandler.mapUpstreamError(lastError, serviceName);
   }
 
-  async makeRequest(req, route) {
+  withBulkhead(bulkhead, fn) {
+    return bulkhead ? bulkhead.run(fn) : fn();
+  }
+
+  async makeRequest(req, route, target = route.targets[0], body = undefined, timeout = route.timeout) {
+    const serviceName = this.extractServiceName(target.url);
+    const agent = this.agentPool.getAgent(serviceName, new URL(target.url).protocol);
     const requestConfig = {
       method: req.method.toLowerCase(),
-      url: route.targetUrl,
-      timeout: route.timeout,
-      headers: this.buildUpstreamHeaders(req, route),
+      url: this.buildUpstreamUrl(target, route.targetPath),
+      timeout,
+      headers: this.buildUpstreamHeaders(req, route, target),
+      httpAgent: agent,
+      httpsAgent: agent,
       validateStatus: null
     };
-  
-    if (req.body && ['post', 'put', 'patch'].includes(requestConfig.method)) {
+
+    let headersTimer = null;
+    if (route.streaming) {
+      // axios' timeout keeps running while the body streams and would cut off quiet streams,
+      // so it only bounds the wait for response headers; pipeResponse's idle timer takes over after
+      const controller = new AbortController();
+      headersTimer = setTimeout(() => controller.abort(), timeout);
+
+      // Pass bytes through untouched: no decompression, no size caps, and no redirect
+      // following (which would buffer the whole upload for replay). A maxContentLength of
+      // -1 also keeps axios from wrapping the socket in a stream that cannot be torn down.
+      Object.assign(requestConfig, {
+        data: body,
+        timeout: 0,
+        signal: controller.signal,
+        responseType: 'stream',
+        decompress: false,
+        maxRedirects: 0,
+        maxBodyLength: Infinity,
+        maxContentLength: -1
+      });
+    } else if (req.body && ['post', 'put', 'patch'].includes(requestConfig.method)) {
       requestConfig.data = req.body;
     }
 
-    if (req.query && Object.keys(req.query).length > 0) {
-      requestConfig.params = req.query;
+    // The response cache and cache fallbacks store the upstream's exact bytes rather than parsed JSON
+    if ((route.cache || route.fallback?.keepLastResponse) && !route.streaming) {
+      requestConfig.responseType = 'arraybuffer';
     }
 
     try {
       return await this.axiosInstance(requestConfig);
     } catch (error) {
-      if (error.code === 'ECONNABORTED') {
+      if (error.code === 'ECONNABORTED' || (headersTimer && error.code === 'ERR_CANCELED')) {
         throw ErrorHandler.createError(
           'Request timeout',
           504,
           'GATEWAY_TIMEOUT',
-          { timeout: route.timeout, service: this.extractServiceName(route.target) }
+          { timeout, service: serviceName }
+        );
+      }
+
+      if (error.code === 'EQUEUETIMEOUT') {
+        throw ErrorHandler.createError(
+          `No connection to ${serviceName} available`,
+          503,
+          'UPSTREAM_POOL_EXHAUSTED',
+          { service: serviceName, queueTimeout: agent.queueTimeout }
         );
       }
       
       throw error;
+    } finally {
+      clearTimeout(headersTimer);
     }
   }
 
-  buildUpstreamHeaders(req, route) {
+  buildUpstreamHeaders(req, route, target = route.targets[0]) {
     const headers = { ...req.headers };
 
     const hopByHopHeaders = [
@@ -277,8 +653,7 @@ class ForwardingLayer {
     });
 
     if (!route.preserveHost) {
-      const targetUrl = new URL(route.target);
-      headers.host = targetUrl.host;
+      headers.host = new URL(target.url).host;
     }
 
     headers['x-forwarded-for'] = req.context.clientIp;
@@ -286,6 +661,15 @@ class ForwardingLayer {
     headers['x-forwarded-host'] = req.get('host');
     headers['x-request-id'] = req.requestId;
 
+    // Tell the upstream how long the gateway will still wait, so it can give up early too
+    if (req.context.deadline) {
+      const remaining = Math.max(req.context.deadline - Date.now(), 1);
+      headers[config.deadline.header] = String(remaining);
+      if (headers['grpc-timeout']) {
+        headers['grpc-timeout'] = formatGrpcTimeout(remaining);
+      }
+    }
+
     if (req.context.user) {
       headers['x-user-id'] = req.context.user.id;
       headers['x-user-roles'] = req.context.user.roles.join(',');
@@ -295,7 +679,11 @@ class ForwardingLayer {
     return headers;
   }
 
-  forwardResponse(upstreamResponse, clientResponse, requestId) {
+  isEventStream(headers = {}) {
+    return /^(text\/event-stream|application\/(x-)?ndjson)/i.test(String(headers['content-type'] || ''));
+  }
+
+  forwardResponse(upstreamResponse, clientResponse, requestId, idleTimeout = null) {
     try {
       clientResponse.status(upstreamResponse.status);
       const hopByHopHeaders = [
@@ -310,13 +698,25 @@ class ForwardingLayer {
       ];
 
       Object.entries(upstreamResponse.headers || {}).forEach(([key, value]) => {
-        if (!hopByHopHeaders.includes(key.toLowerCase())) {
+        if (key.toLowerCase() === 'set-cookie') {
+          clientResponse.append(key, value);
+        } else if (!hopByHopHeaders.includes(key.toLowerCase())) {
           clientResponse.setHeader(key, value);
         }
       });
       clientResponse.setHeader('X-Gateway-Service', 'api-gateway');
       clientResponse.setHeader('X-Request-ID', requestId);
 
+      if (upstreamResponse.data && typeof upstreamResponse.data.pipe === 'function') {
+        if (this.isEventStream(upstreamResponse.headers)) {
+          // Send headers now and keep proxies in front of us from buffering events
+          clientResponse.setHeader('X-Accel-Buffering', 'no');
+          clientResponse.flushHeaders();
+          clientResponse.socket?.setNoDelay(true);
+        }
+        return this.pipeResponse(upstreamResponse.data, clientResponse, requestId, idleTimeout);
+      }
+
       if (upstreamResponse.data) {
         clientResponse.send(upstreamResponse.data);
       } else {
@@ -339,6 +739,43 @@ class ForwardingLayer {
     }
   }
 
+  // pipeline handles backpressure and tears down the upstream socket if the client goes away.
+  // The circuit breaker already judged the response headers, so a stream that later
+  // stalls or breaks only ends this response.
+  pipeResponse(stream, clientResponse, requestId, idleTimeout = null) {
+    return new Promise(resolve => {
+      let idleTimer = null;
+
+      pipeline(stream, clientResponse, (error) => {
+        clearTimeout(idleTimer);
+        if (error) {
+          logger.logSystem('warn', 'Streaming response interrupted', {
+            requestId,
+            error: error.message
+          });
+        }
+        resolve();
+      });
+
+      if (idleTimeout) {
+        const resetIdleTimer = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(() => {
+            stream.destroy(ErrorHandler.createError(
+              'Upstream stream idle timeout',
+              504,
+              'STREAM_IDLE_TIMEOUT',
+              { idleTimeout }
+            ));
+          }, idleTimeout);
+        };
+
+        resetIdleTimer();
+        stream.on('data', resetIdleTimer);
+      }
+    });
+  }
+
   middleware() {
     return async (req, res, next) => {
       try {
@@ -357,22 +794,71 @@ class ForwardingLayer {
     };
   }
 
+  getRetryBudgetStates() {
+    const states = {};
+    this.retryBudgets.forEach((budget, serviceName) => {
+      states[serviceName] = budget.getState();
+    });
+    return states;
+  }
+
   getCircuitBreakerStates() {
     const states = {};
-    this.circuitBreakers.forEach((breaker, serviceName) => {
-      states[serviceName] = breaker.getState();
+    const bulkheads = this.getBulkheadStates();
+
+    this.circuitBreakers.forEach((breaker, key) => {
+      states[key] = {
+        ...breaker.getState(),
+        bulkheads: Object.fromEntries(
+          Object.entries(bulkheads).filter(([, bulkhead]) => bulkhead.serviceName === breaker.serviceName)
+        )
+      };
     });
     return states;
   }
 
-  resetCircuitBreaker(serviceName) {
-    const breaker = this.circuitBreakers.get(serviceName);
-    if (breaker) {
+  describeTargets(route) {
+    const targets = route.splits
+      ? route.splits.flatMap(split => split.targets.map(target => ({ ...target, split: split.name })))
+      : route.targets;
+
+    return targets.map(target => {
+      const serviceName = this.extractServiceName(target.url);
+      const breaker = this.circuitBreakers.get(this.getCircuitBreakerKey(serviceName, route));
+
+      return {
+        ...target,
+        serviceName,
+        healthy: !this.unhealthyServices.has(serviceName),
+        circuitBreaker: breaker ? breaker.getState() : { state: CIRCUIT_STATES.CLOSED, created: false }
+      };
+    });
+  }
+
+  // Resets the service's shared breaker and any route-specific breakers for it. With a
+  // circuit breaker store the reset is broadcast so every gateway instance applies it.
+  async resetCircuitBreaker(serviceName, { broadcast = true } = {}) {
+    const breakers = [...this.circuitBreakers.entries()]
+      .filter(([key, breaker]) => key === serviceName || breaker.serviceName === serviceName);
+
+    breakers.forEach(([key, breaker]) => {
       breaker.reset();
-      logger.logSystem('info', 'Circuit breaker reset', { serviceName });
-      return true;
+      logger.logSystem('info', 'Circuit breaker reset', { serviceName, breaker: key });
+    });
+
+    let broadcasted = false;
+    if (this.circuitBreakerStore) {
+      await this.circuitBreakerStore.clear(breakers.map(([key]) => key));
+      if (broadcast) {
+        broadcasted = await this.circuitBreakerStore.publishReset(serviceName);
+      }
     }
-    return false;
+
+    return { reset: breakers.length, broadcast: broadcasted };
+  }
+
+  close() {
+    this.agentPool.destroy();
   }
 
   getHealthStatus() {
@@ -385,6 +871,8 @@ class ForwardingLayer {
       healthy: unhealthyServices.length === 0,
       totalServices: this.circuitBreakers.size,
       unhealthyServices,
+      ejectedServices: Object.fromEntries(this.unhealthyServices),
+      store: this.circuitBreakerStore ? this.circuitBreakerStore.getStatus() : { backend: 'local' },
       states
     };
   }
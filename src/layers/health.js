@@ -4,6 +4,7 @@ const ErrorHandler = require('../utils/errorHandler');
 class HealthCheck {
   constructor(dependencies = {}) {
     this.dependencies = dependencies;
+    this.routingLayer = null;
     this.startTime = Date.now();
     this.healthStatus = {
       status: 'starting',
@@ -18,6 +19,11 @@ class HealthCheck {
     this.dependencies[name] = healthCheckFn;
   }
 
+  // Routes change at runtime through the admin API and file reloads, so they are counted live
+  setRoutingLayer(routingLayer) {
+    this.routingLayer = routingLayer;
+  }
+
   async checkDependencies() {
     const results = {};
 
@@ -175,7 +181,7 @@ class HealthCheck {
         configuration: {
           environment: config.server.nodeEnv,
           port: config.server.port,
-          routeCount: config.routes.length
+          routeCount: this.routingLayer ? this.routingLayer.routes.length : config.routes.length
         }
       };
 
@@ -0,0 +1,185 @@
+const axios = require('axios');
+const logger = require('./logging');
+
+const TICK_MS = 1000;
+
+// Probes the health endpoint of every upstream service used by a route with health checks
+// enabled, and reports services that cross the unhealthy/healthy thresholds to the
+// forwarding layer. Services start out healthy until probes say otherwise.
+class HealthProber {
+  constructor({ routingLayer, forwardingLayer }) {
+    this.routingLayer = routingLayer;
+    this.forwardingLayer = forwardingLayer;
+    this.services = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One entry per upstream service; the first route that checks a service sets its probe settings
+  collectTargets() {
+    const targets = new Map();
+
+    this.routingLayer.routes
+      .filter(route => route.type === 'proxy' && route.healthCheck)
+      .forEach(route => {
+        const routeTargets = route.splits ? route.splits.flatMap(split => split.targets) : route.targets;
+
+        routeTargets.forEach(target => {
+          const serviceName = this.forwardingLayer.extractServiceName(target.url);
+          if (!targets.has(serviceName)) {
+            targets.set(serviceName, { origin: new URL(target.url).origin, settings: route.healthCheck });
+          }
+        });
+      });
+
+    return targets;
+  }
+
+  tick() {
+    const targets = this.collectTargets();
+    const now = Date.now();
+
+    // Services no longer behind any checked route stop being probed and are no longer ejected
+    this.services.forEach((state, serviceName) => {
+      if (!targets.has(serviceName)) {
+        this.services.delete(serviceName);
+        if (!state.healthy) {
+          this.forwardingLayer.setServiceHealth(serviceName, true, { reason: 'no_longer_checked' });
+        }
+      }
+    });
+
+    targets.forEach(({ origin, settings }, serviceName) => {
+      if (!this.services.has(serviceName)) {
+        this.services.set(serviceName, {
+          url: null,
+          healthy: true,
+          consecutiveSuccesses: 0,
+          consecutiveFailures: 0,
+          lastCheck: null,
+          lastStatus: null,
+          lastError: null,
+          nextProbeAt: now,
+          probing: false
+        });
+      }
+
+      const state = this.services.get(serviceName);
+      state.url = `${origin}${settings.path}`;
+      if (!state.probing && now >= state.nextProbeAt) {
+        state.nextProbeAt = now + settings.interval;
+        this.probe(serviceName, state, settings);
+      }
+    });
+  }
+
+  async probe(serviceName, state, settings) {
+    state.probing = true;
+    let healthy = false;
+
+    try {
+      const response = await axios.get(state.url, {
+        timeout: settings.timeout,
+        validateStatus: null,
+        maxRedirects: 0,
+        headers: { 'User-Agent': 'API-Gateway-HealthCheck/1.0.0' }
+      });
+      healthy = response.status >= 200 && response.status < 400;
+      state.lastStatus = response.status;
+      state.lastError = healthy ? null : `Responded with ${response.status}`;
+    } catch (error) {
+      state.lastStatus = null;
+      state.lastError = error.code || error.message;
+    } finally {
+      state.probing = false;
+      state.lastCheck = new Date().toISOString();
+    }
+
+    this.recordResult(serviceName, state, settings, healthy);
+  }
+
+  recordResult(serviceName, state, settings, healthy) {
+    if (healthy) {
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+    } else {
+      state.consecutiveFailures++;
+      state.consecutiveSuccesses = 0;
+    }
+
+    // A service removed while its probe was in flight is no longer ours to report on
+    if (this.services.get(serviceName) !== state) {
+      return;
+    }
+
+    if (state.healthy && state.consecutiveFailures >= settings.unhealthyThreshold) {
+      state.healthy = false;
+      logger.logSystem('warn', 'Upstream marked unhealthy', {
+        serviceName,
+        url: state.url,
+        consecutiveFailures: state.consecutiveFailures,
+        error: state.lastError
+      });
+      this.forwardingLayer.setServiceHealth(serviceName, false, { reason: 'health_check', error: state.lastError });
+    } else if (!state.healthy && state.consecutiveSuccesses >= settings.healthyThreshold) {
+      state.healthy = true;
+      logger.logSystem('info', 'Upstream marked healthy', {
+        serviceName,
+        url: state.url,
+        consecutiveSuccesses: state.consecutiveSuccesses
+      });
+      this.forwardingLayer.setServiceHealth(serviceName, true, { reason: 'health_check' });
+    }
+  }
+
+  getStatus() {
+    const status = {};
+
+    this.services.forEach((state, serviceName) => {
+      status[serviceName] = {
+        healthy: state.healthy,
+        url: state.url,
+        consecutiveSuccesses: state.consecutiveSuccesses,
+        consecutiveFailures: state.consecutiveFailures,
+        lastCheck: state.lastCheck,
+        lastStatus: state.lastStatus,
+        lastError: state.lastError
+      };
+    });
+
+    return status;
+  }
+
+  healthCheck() {
+    const upstreams = this.getStatus();
+    const total = Object.keys(upstreams).length;
+    const healthy = Object.values(upstreams).filter(upstream => upstream.healthy).length;
+
+    let status = 'healthy';
+    if (healthy < total) {
+      status = healthy === 0 ? 'unhealthy' : 'degraded';
+    }
+
+    return {
+      status,
+      message: total === 0 ? 'No upstream health checks configured' : `${healthy}/${total} upstreams healthy`,
+      details: upstreams
+    };
+  }
+}
+
+module.exports = HealthProber;
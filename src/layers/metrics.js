@@ -56,6 +56,57 @@ class MetricsCollector {
         byService: {}
       },
 
+      splits: {
+        byRoute: {}
+      },
+
+      retries: {
+        total: 0,
+        budgetExhausted: 0,
+        byRoute: {}
+      },
+
+      cache: {
+        hits: 0,
+        misses: 0,
+        stale: 0,
+        revalidated: 0,
+        bypassed: 0,
+        stored: 0,
+        invalidated: 0,
+        byRoute: {}
+      },
+
+      fallbacks: {
+        total: 0,
+        exhausted: 0,
+        byRoute: {}
+      },
+
+      mirroring: {
+        sent: 0,
+        failed: 0,
+        skipped: 0,
+        matched: 0,
+        mismatched: 0,
+        byRoute: {}
+      },
+
+      coalescing: {
+        leaders: 0,
+        collapsed: 0,
+        byRoute: {}
+      },
+
+      websockets: {
+        active: 0,
+        opened: 0,
+        closed: 0,
+        rejected: 0,
+        activeByRoute: {},
+        rejectedByReason: {}
+      },
+
       authentication: {
         total: 0,
         successful: 0,
@@ -201,6 +252,162 @@ class MetricsCollector {
     this.metrics.circuitBreaker.states[serviceName] = serviceMetrics.currentState;
   }
 
+  recordSplit(routeId, splitName, statusCode, duration, { forced = false, error = null } = {}) {
+    if (!this.metrics.splits.byRoute[routeId]) {
+      this.metrics.splits.byRoute[routeId] = {};
+    }
+
+    const routeSplits = this.metrics.splits.byRoute[routeId];
+    if (!routeSplits[splitName]) {
+      routeSplits[splitName] = {
+        requests: 0,
+        errors: 0,
+        forced: 0,
+        byStatus: {},
+        responseTime: {
+          total: 0,
+          min: Infinity,
+          max: 0,
+          average: 0
+        }
+      };
+    }
+
+    const splitMetrics = routeSplits[splitName];
+    splitMetrics.requests++;
+    if (forced) {
+      splitMetrics.forced++;
+    }
+    this.incrementCounter(splitMetrics.byStatus, statusCode.toString());
+
+    if (error || statusCode >= 500) {
+      splitMetrics.errors++;
+    }
+
+    const responseTime = splitMetrics.responseTime;
+    responseTime.total += duration;
+    responseTime.min = Math.min(responseTime.min, duration);
+    responseTime.max = Math.max(responseTime.max, duration);
+    responseTime.average = responseTime.total / splitMetrics.requests;
+  }
+
+  getSplitMetrics(routeId) {
+    const routeSplits = this.metrics.splits.byRoute[routeId] || {};
+
+    return Object.fromEntries(Object.entries(routeSplits).map(([name, split]) => [name, {
+      requests: split.requests,
+      errors: split.errors,
+      errorRate: split.requests > 0 ? Math.round((split.errors / split.requests) * 10000) / 100 : 0,
+      forced: split.forced,
+      byStatus: split.byStatus,
+      responseTime: {
+        average: Math.round(split.responseTime.average * 100) / 100,
+        min: split.responseTime.min === Infinity ? 0 : split.responseTime.min,
+        max: split.responseTime.max
+      }
+    }]));
+  }
+
+  recordRetry(routeId, reason, { budgetExhausted = false } = {}) {
+    const retries = this.metrics.retries;
+    if (!retries.byRoute[routeId]) {
+      retries.byRoute[routeId] = { retries: 0, budgetExhausted: 0, byReason: {} };
+    }
+
+    const routeRetries = retries.byRoute[routeId];
+    if (budgetExhausted) {
+      retries.budgetExhausted++;
+      routeRetries.budgetExhausted++;
+      return;
+    }
+
+    retries.total++;
+    routeRetries.retries++;
+    this.incrementCounter(routeRetries.byReason, reason);
+  }
+
+  recordCache(routeId, event) {
+    const cache = this.metrics.cache;
+    const counters = {
+      hit: 'hits',
+      miss: 'misses',
+      stale: 'stale',
+      revalidated: 'revalidated',
+      bypass: 'bypassed',
+      stored: 'stored',
+      invalidated: 'invalidated'
+    };
+    const counter = counters[event];
+
+    if (!cache.byRoute[routeId]) {
+      cache.byRoute[routeId] = { hits: 0, misses: 0, stale: 0, revalidated: 0, bypassed: 0, stored: 0, invalidated: 0 };
+    }
+
+    cache[counter]++;
+    cache.byRoute[routeId][counter]++;
+  }
+
+  // A null `type` means every strategy failed and the original error was returned
+  recordFallback(routeId, type, trigger) {
+    const fallbacks = this.metrics.fallbacks;
+    if (!fallbacks.byRoute[routeId]) {
+      fallbacks.byRoute[routeId] = { total: 0, exhausted: 0, byType: {}, byTrigger: {} };
+    }
+
+    const routeFallbacks = fallbacks.byRoute[routeId];
+    this.incrementCounter(routeFallbacks.byTrigger, trigger);
+
+    if (!type) {
+      fallbacks.exhausted++;
+      routeFallbacks.exhausted++;
+      return;
+    }
+
+    fallbacks.total++;
+    routeFallbacks.total++;
+    this.incrementCounter(routeFallbacks.byType, type);
+  }
+
+  recordMirror(routeId, event) {
+    const mirroring = this.metrics.mirroring;
+    if (!mirroring.byRoute[routeId]) {
+      mirroring.byRoute[routeId] = { sent: 0, failed: 0, skipped: 0, matched: 0, mismatched: 0 };
+    }
+
+    mirroring[event]++;
+    mirroring.byRoute[routeId][event]++;
+  }
+
+  // `collapsed` requests shared the upstream call of a `leader` instead of making their own
+  recordCoalescing(routeId, collapsed) {
+    const coalescing = this.metrics.coalescing;
+    const counter = collapsed ? 'collapsed' : 'leaders';
+
+    if (!coalescing.byRoute[routeId]) {
+      coalescing.byRoute[routeId] = { leaders: 0, collapsed: 0 };
+    }
+
+    coalescing[counter]++;
+    coalescing.byRoute[routeId][counter]++;
+  }
+
+  recordWebSocket(event, routeId, reason = null) {
+    const websockets = this.metrics.websockets;
+
+    if (event === 'opened') {
+      websockets.active++;
+      websockets.opened++;
+      this.incrementCounter(websockets.activeByRoute, routeId);
+    } else if (event === 'closed') {
+      websockets.active = Math.max(0, websockets.active - 1);
+      websockets.closed++;
+      this.incrementCounter(websockets.activeByRoute, routeId, -1);
+    } else if (event === 'rejected') {
+      websockets.rejected++;
+      this.incrementCounter(websockets.rejectedByReason, reason || 'unknown');
+    }
+  }
+
   recordAuthentication(event, reason = null, tokenType = null) {
     this.metrics.authentication.total++;
 
@@ -269,6 +476,36 @@ class MetricsCollector {
         upstream: metrics.errors.upstream.total,
         rateLimiting: metrics.rateLimiting.total
       },
+      retries: {
+        total: metrics.retries.total,
+        budgetExhausted: metrics.retries.budgetExhausted
+      },
+      cache: {
+        hits: metrics.cache.hits,
+        misses: metrics.cache.misses,
+        stale: metrics.cache.stale,
+        revalidated: metrics.cache.revalidated,
+        // Stale and revalidated responses were still served from the cache
+        hitRate: this.getCacheHitRate(metrics.cache)
+      },
+      fallbacks: {
+        total: metrics.fallbacks.total,
+        exhausted: metrics.fallbacks.exhausted
+      },
+      mirroring: {
+        sent: metrics.mirroring.sent,
+        failed: metrics.mirroring.failed,
+        mismatched: metrics.mirroring.mismatched
+      },
+      coalescing: {
+        leaders: metrics.coalescing.leaders,
+        collapsed: metrics.coalescing.collapsed
+      },
+      websockets: {
+        active: metrics.websockets.active,
+        opened: metrics.websockets.opened,
+        rejected: metrics.websockets.rejected
+      },
       circuitBreakers: {
         services: Object.keys(metrics.circuitBreaker.states).length,
         openCircuits: Object.values(metrics.circuitBreaker.states)
@@ -282,6 +519,12 @@ class MetricsCollector {
     };
   }
 
+  getCacheHitRate({ hits, stale, revalidated, misses }) {
+    const served = hits + stale + revalidated;
+    const total = served + misses;
+    return total > 0 ? Math.round((served / total) * 10000) / 100 : 0;
+  }
+
   reset() {
     const oldStartTime = this.startTime;
     this.__init__();
@@ -295,7 +538,7 @@ class MetricsCollector {
   }
 
   startSystemMetricsCollection() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       const memUsage = process.memoryUsage();
       this.metrics.system.memory = Math.round(memUsage.heapUsed / 1024 / 1024); // MB
       
@@ -305,7 +548,8 @@ class MetricsCollector {
         const totalUsage = endUsage.user + endUsage.system;
         this.metrics.system.cpu = Math.round((totalUsage / 1000) / 10); // Rough percentage
       }, 100);
-    }, 30000); 
+    }, 30000);
+    timer.unref();
   }
 
   middleware() {
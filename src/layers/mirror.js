@@ -0,0 +1,160 @@
+const { isDeepStrictEqual } = require('util');
+const config = require('../config');
+const logger = require('./logging');
+const metrics = require('./metrics');
+
+// Sends a sampled copy of requests on routes with `mirrors` to secondary upstreams. Mirrored
+// calls bypass circuit breakers, retries and bulkheads, and their responses are only used
+// for the optional comparison with the primary response.
+class MirrorLayer {
+  constructor({ forwardingLayer }) {
+    this.forwardingLayer = forwardingLayer;
+    this.inFlight = 0;
+    this.diffs = [];
+  }
+
+  // `primary` is the promise of the primary response; it is only awaited to compare
+  mirror(req, route, primary) {
+    for (const mirror of route.mirrors) {
+      if (Math.random() * 100 >= mirror.percentage) {
+        continue;
+      }
+
+      // A streamed request body is consumed by the primary call and cannot be sent twice
+      if ((route.streaming && this.forwardingLayer.hasRequestBody(req)) || this.inFlight >= config.mirroring.maxConcurrent) {
+        metrics.recordMirror(route.id, 'skipped');
+        continue;
+      }
+
+      this.inFlight++;
+      this.send(req, route, mirror)
+        .finally(() => this.inFlight--)
+        .then(response => (response && mirror.compare ? this.compare(req, route, mirror, primary, response) : null))
+        .catch(error => {
+          logger.logSystem('warn', 'Mirrored response comparison failed', {
+            requestId: req.requestId,
+            routeId: route.id,
+            error: error.message
+          });
+        });
+    }
+  }
+
+  async send(req, route, mirror) {
+    const target = { url: mirror.target, weight: 1 };
+    const serviceName = this.forwardingLayer.extractServiceName(mirror.target);
+    const agent = this.forwardingLayer.agentPool.getAgent(serviceName, new URL(mirror.target).protocol);
+    const method = req.method.toLowerCase();
+    const headers = this.forwardingLayer.buildUpstreamHeaders(req, route, target);
+    headers['x-gateway-mirror'] = 'true';
+
+    try {
+      const response = await this.forwardingLayer.axiosInstance({
+        method,
+        url: this.forwardingLayer.buildUpstreamUrl(target, route.targetPath),
+        timeout: mirror.timeout,
+        headers,
+        data: ['post', 'put', 'patch'].includes(method) ? req.body : undefined,
+        httpAgent: agent,
+        httpsAgent: agent,
+        responseType: 'arraybuffer',
+        maxRedirects: 0,
+        validateStatus: null
+      });
+
+      metrics.recordMirror(route.id, 'sent');
+      return response;
+    } catch (error) {
+      metrics.recordMirror(route.id, 'failed');
+      logger.logSystem('debug', 'Mirrored request failed', {
+        requestId: req.requestId,
+        routeId: route.id,
+        mirror: mirror.target,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  toComparable(data) {
+    const text = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+    if (typeof text !== 'string') {
+      return data ?? null;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  // For two JSON objects, also names the top-level fields that differ
+  diffBodies(primaryData, mirrorData) {
+    const primaryBody = this.toComparable(primaryData);
+    const mirrorBody = this.toComparable(mirrorData);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (isDeepStrictEqual(primaryBody, mirrorBody)) {
+      return { match: true, fields: [] };
+    }
+    if (!isObject(primaryBody) || !isObject(mirrorBody)) {
+      return { match: false, fields: [] };
+    }
+
+    const keys = new Set([...Object.keys(primaryBody), ...Object.keys(mirrorBody)]);
+    return {
+      match: false,
+      fields: [...keys].filter(key => !isDeepStrictEqual(primaryBody[key], mirrorBody[key]))
+    };
+  }
+
+  async compare(req, route, mirror, primary, mirrored) {
+    const response = await primary.catch(() => null);
+
+    // Nothing meaningful to compare against a failed call or a fallback response
+    if (!response || response.fallback) {
+      return;
+    }
+
+    // A streamed primary body is already on its way to the client, so only statuses are compared
+    const streamed = typeof response.data?.pipe === 'function';
+    const body = streamed ? { match: true, fields: [] } : this.diffBodies(response.data, mirrored.data);
+    const statusMatch = response.status === mirrored.status;
+
+    if (statusMatch && body.match) {
+      metrics.recordMirror(route.id, 'matched');
+      return;
+    }
+
+    metrics.recordMirror(route.id, 'mismatched');
+    const diff = {
+      routeId: route.id,
+      mirror: mirror.target,
+      requestId: req.requestId,
+      method: req.method,
+      path: route.targetPath,
+      primaryStatus: response.status,
+      mirrorStatus: mirrored.status,
+      bodyMatch: body.match,
+      fields: body.fields,
+      timestamp: new Date().toISOString()
+    };
+
+    this.diffs.push(diff);
+    if (this.diffs.length > config.mirroring.diffHistory) {
+      this.diffs.shift();
+    }
+    logger.logSystem('info', 'Mirrored response differs from primary', diff);
+  }
+
+  getReport(routeId = null) {
+    return {
+      inFlight: this.inFlight,
+      maxConcurrent: config.mirroring.maxConcurrent,
+      diffs: routeId ? this.diffs.filter(diff => diff.routeId === routeId) : this.diffs
+    };
+  }
+}
+
+module.exports = MirrorLayer;
@@ -17,22 +17,20 @@ class RateLimitLayer {
   async initialize() {
     try {
       this.redisClient = createClient({
-        host: config.redis.host,
-        port: config.redis.port,
         password: config.redis.password,
-        retryDelayOnFailover: 100,
-        maxRetriesPerRequest: 3,
-        lazyConnect: true
+        socket: {
+          host: config.redis.host,
+          port: config.redis.port,
+          reconnectStrategy: (retries) => {
+            logger.logSystem('info', 'Attempting Redis reconnection', { attempt: retries + 1 });
+            return Math.min((retries + 1) * 100, 3000);
+          }
+        }
       });
 
       this.redisClient.on('error', (error) => {
         logger.logSystem('error', 'Redis connection error', { error: error.message });
         this.isConnected = false;
-        setTimeout(() => {
-          if (!this.isConnected) {
-            logger.logSystem('info', 'Attempting Redis reconnection');
-          }
-        }, 30000);
       });
 
       this.redisClient.on('connect', () => {
@@ -45,7 +43,22 @@ class RateLimitLayer {
         this.isConnected = false;
       });
 
-      await this.redisClient.connect();
+      // Startup only waits connectTimeout for Redis; the client keeps reconnecting in the background
+      const connecting = this.redisClient.connect();
+      connecting.catch(() => {});
+
+      let timer;
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`Redis not reachable within ${config.redis.connectTimeout}ms`));
+        }, config.redis.connectTimeout);
+      });
+
+      try {
+        await Promise.race([connecting, timedOut]);
+      } finally {
+        clearTimeout(timer);
+      }
     } catch (error) {
       logger.logSystem('error', 'Failed to initialize Redis', { error: error.message });
       throw error;
@@ -60,6 +73,21 @@ class RateLimitLayer {
     return `rate_limit:${tier}:${identifier}`;
   }
 
+  updateTiers(rateLimiting) {
+    if (rateLimiting.tiers) {
+      this.rateLimitTiers = { ...config.rateLimiting.tiers, ...rateLimiting.tiers };
+    }
+
+    this.defaultTier = {
+      requests: rateLimiting.defaultRequests || this.defaultTier.requests,
+      windowMs: rateLimiting.defaultWindowMs || this.defaultTier.windowMs
+    };
+
+    logger.logSystem('info', 'Rate limit tiers updated', {
+      tiers: Object.keys(this.rateLimitTiers)
+    });
+  }
+
   getTierConfig(tierName) {
     return this.rateLimitTiers[tierName] || this.defaultTier;
   }
@@ -230,7 +258,7 @@ class RateLimitLayer {
 
   async close() {
     if (this.redisClient) {
-      await this.redisClient.disconnect();
+      await this.redisClient.destroy();
       logger.logSystem('info', 'Redis connection closed');
     }
   }
@@ -1,129 +1,617 @@
 const { pathToRegexp } = require('path-to-regexp');
 const config = require('../config');
+const { HTTP_METHODS, routeSchema, findReferenceErrors, formatValidationErrors } = require('../config/schema');
 const ErrorHandler = require('../utils/errorHandler');
+const { parseCookies } = require('../utils/cookies');
+const { parseTimeout } = require('../utils/deadline');
+const RouteTree = require('../utils/routeTree');
+const { expandPathTemplate } = require('../utils/template');
 const logger = require('./logging');
 
+function compileHostPattern(pattern) {
+  const host = pattern.toLowerCase();
+  if (host.startsWith('*.')) {
+    const suffix = host.slice(1).replace(/\./g, '\\.');
+    return new RegExp(`^[^.]+${suffix}$`);
+  }
+  return new RegExp(`^${host.replace(/\./g, '\\.')}$`);
+}
+
 class RoutingLayer {
-  constructor() {
+  constructor({ rateLimitLayer = null } = {}) {
+    this.rateLimitLayer = rateLimitLayer;
     this.routes = [];
     this.compiledRoutes = [];
-    this.initializeRoutes();
+    this.routeTree = new RouteTree();
+    this.baseRoutes = [];
+    this.overrides = new Map();
+    this.version = 0;
+    this.loadRoutes(config.routes);
+  }
+
+  generateRouteId(path, takenIds) {
+    const base = path.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'root';
+    let id = base;
+    let suffix = 2;
+
+    while (takenIds.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+
+    return id;
+  }
+
+  assignRouteIds(routeConfigs) {
+    const takenIds = new Set(routeConfigs.filter(route => route.id).map(route => route.id));
+
+    return routeConfigs.map(route => {
+      if (route.id) {
+        return { ...route };
+      }
+
+      const id = this.generateRouteId(route.path, takenIds);
+      takenIds.add(id);
+      return { ...route, id };
+    });
+  }
+
+  normalizeTargets(route) {
+    if (!route.targets && !route.target) {
+      return route.splits ? this.normalizeTargets(route.splits[0]) : [];
+    }
+
+    const targets = route.targets || [route.target];
+
+    return targets.map(target => (
+      typeof target === 'string'
+        ? { url: target, weight: 1 }
+        : { url: target.url, weight: target.weight || 1 }
+    ));
   }
-  initializeRoutes() {
-    this.routes = config.routes.map(route => ({
+
+  normalizeRoute(route) {
+    const targets = this.normalizeTargets(route);
+
+    return {
       ...route,
+      type: route.type || 'proxy',
+      target: targets[0]?.url || null,
+      targets,
+      loadBalancing: { strategy: 'round-robin', ...route.loadBalancing },
+      splits: route.splits ? route.splits.map(split => ({
+        name: split.name,
+        weight: split.weight,
+        targets: this.normalizeTargets(split),
+        loadBalancing: split.loadBalancing || null
+      })) : null,
       timeout: route.timeout || 5000,
-      retries: route.retries || 3,
+      deadline: route.deadline || config.deadline.budget || null,
+      retries: route.retries ?? 3,
+      retryPolicy: this.normalizeRetryPolicy(route.retryPolicy),
+      circuitBreaker: route.circuitBreaker || null,
+      healthCheck: this.normalizeHealthCheck(route.healthCheck),
+      bulkhead: route.bulkhead || null,
+      cache: this.normalizeCache(route.cache),
+      coalesce: this.normalizeCoalesce(route.coalesce),
+      fallback: this.normalizeFallback(route.fallback),
+      mirrors: this.normalizeMirrors(route.mirrors),
+      aggregate: this.normalizeAggregate(route.aggregate, route.timeout || 5000),
       authRequired: route.authRequired !== false, // Default to true
       rateLimitTier: route.rateLimitTier || 'basic',
       methods: route.methods || ['GET'],
       stripPath: route.stripPath !== false, // Default to true
       preserveHost: route.preserveHost === true, // Default to false
-      changeOrigin: route.changeOrigin !== false // Default to true
+      changeOrigin: route.changeOrigin !== false, // Default to true
+      streaming: route.streaming ?? config.forwarding.streaming,
+      idleTimeout: route.idleTimeout || config.forwarding.idleTimeout,
+      websocket: route.websocket === true
+    };
+  }
+
+  normalizeRetryPolicy(policy = {}) {
+    const defaults = config.retryPolicy;
+
+    return {
+      methods: policy.methods || defaults.methods,
+      statusCodes: policy.statusCodes || defaults.statusCodes,
+      networkErrors: policy.networkErrors || defaults.networkErrors,
+      backoff: { ...defaults.backoff, ...policy.backoff },
+      budget: {
+        ratio: policy.budget?.ratio ?? defaults.budget.ratio,
+        minRetriesPerSecond: policy.budget?.minRetriesPerSecond ?? defaults.budget.minRetriesPerSecond
+      }
+    };
+  }
+
+  // `true` or an object enables health checks for the route's targets, `false` opts out of the global default
+  normalizeHealthCheck(healthCheck) {
+    const defaults = config.healthChecks;
+    const settings = typeof healthCheck === 'object' ? healthCheck : {};
+    const enabled = typeof healthCheck === 'object' ? healthCheck.enabled !== false : (healthCheck ?? defaults.enabled);
+
+    if (!enabled) {
+      return null;
+    }
+
+    return {
+      path: settings.path || defaults.path,
+      interval: settings.interval || defaults.interval,
+      timeout: settings.timeout || defaults.timeout,
+      healthyThreshold: settings.healthyThreshold || defaults.healthyThreshold,
+      unhealthyThreshold: settings.unhealthyThreshold || defaults.unhealthyThreshold
+    };
+  }
+
+  normalizeCache(cache) {
+    if (!cache || cache.enabled === false) {
+      return null;
+    }
+
+    const settings = typeof cache === 'object' ? cache : {};
+    return {
+      ttl: settings.ttl ?? config.cache.ttl,
+      staleWhileRevalidate: settings.staleWhileRevalidate ?? config.cache.staleWhileRevalidate,
+      partitionByUser: settings.partitionByUser === true
+    };
+  }
+
+  normalizeCoalesce(coalesce) {
+    if (!coalesce || coalesce.enabled === false) {
+      return null;
+    }
+
+    const settings = typeof coalesce === 'object' ? coalesce : {};
+    return {
+      headers: (settings.headers || config.coalescing.headers).map(header => header.toLowerCase()),
+      partitionByUser: settings.partitionByUser === true
+    };
+  }
+
+  normalizeFallback(fallback) {
+    if (!fallback) {
+      return null;
+    }
+
+    return {
+      on: fallback.on || config.fallback.on,
+      statusCodes: fallback.statusCodes || config.fallback.statusCodes,
+      strategies: fallback.strategies.map(strategy => ({ ...strategy })),
+      // Successful responses only need to be kept when they can be served again later
+      keepLastResponse: fallback.strategies.some(strategy => strategy.type === 'cache')
+    };
+  }
+
+  normalizeMirrors(mirrors) {
+    if (!mirrors) {
+      return null;
+    }
+
+    return mirrors.map(mirror => ({
+      target: mirror.target,
+      percentage: mirror.percentage ?? 100,
+      timeout: mirror.timeout || config.mirroring.timeout,
+      compare: mirror.compare === true
     }));
+  }
+
+  // Sub-calls get one attempt by default so a slow upstream cannot multiply the wait for the whole response
+  normalizeAggregate(aggregate, timeout) {
+    if (!aggregate) {
+      return null;
+    }
+
+    return {
+      calls: aggregate.calls.map(call => ({
+        name: call.name,
+        target: call.target,
+        path: call.path,
+        method: call.method || 'GET',
+        headers: call.headers || {},
+        body: call.body,
+        dependsOn: call.dependsOn || [],
+        timeout: call.timeout || timeout,
+        retries: call.retries ?? 0,
+        circuitBreaker: call.circuitBreaker || null,
+        optional: call.optional === true
+      }))
+    };
+  }
+
+  compileRoute(route) {
+    const { regexp, keys } = pathToRegexp(route.path, { sensitive: false, end: false });
+
+    const lowerCaseKeys = (conditions) => Object.fromEntries(
+      Object.entries(conditions || {}).map(([name, expected]) => [name.toLowerCase(), expected])
+    );
 
-    this.compiledRoutes = this.routes.map(route => ({
+    return {
       ...route,
-      regexp: pathToRegexp(route.path, [], { sensitive: false, strict: false }),
-      originalPath: route.path
-    }));
+      regexp,
+      keys,
+      originalPath: route.path,
+      rewriteRegexp: route.rewrite?.pattern ? new RegExp(route.rewrite.pattern) : null,
+      hostPatterns: (route.hosts || []).map(compileHostPattern),
+      headerConditions: lowerCaseKeys(route.headers),
+      queryConditions: route.query || {},
+      cookieConditions: route.cookies || {}
+    };
+  }
+
+  loadRoutes(routeConfigs) {
+    this.prepareRoutes(routeConfigs)();
+  }
 
-    logger.logSystem('info', 'Routes initialized', { 
+  // Compiles a new set of configured routes and returns a function that swaps it in,
+  // so callers can fail before changing anything else
+  prepareRoutes(routeConfigs) {
+    const baseRoutes = this.assignRouteIds(routeConfigs);
+    const overrides = this.overrides;
+    const tables = this.buildRouteTables(baseRoutes, overrides);
+
+    return () => this.installRouteTables(baseRoutes, overrides, tables);
+  }
+
+  setOverrides(entries) {
+    this.rebuildRoutes(this.baseRoutes, new Map(entries.map(({ id, route }) => [id, route])));
+  }
+
+  getOverrides() {
+    return Array.from(this.overrides, ([id, route]) => ({ id, route }));
+  }
+
+  // Builds the tables for a candidate set of base routes and overrides without touching the
+  // live ones, so a route that cannot be compiled is rejected before anything changes
+  buildRouteTables(baseRoutes, overrides) {
+    const effective = [];
+    const baseIds = new Set();
+
+    baseRoutes.forEach(route => {
+      baseIds.add(route.id);
+
+      if (!overrides.has(route.id)) {
+        effective.push({ ...route, source: 'config' });
+      } else if (overrides.get(route.id)) {
+        effective.push({ ...overrides.get(route.id), source: 'admin' });
+      }
+    });
+
+    overrides.forEach((route, id) => {
+      if (route && !baseIds.has(id)) {
+        effective.push({ ...route, source: 'admin' });
+      }
+    });
+
+    const routes = effective.map(route => this.normalizeRoute(route));
+    const compiledRoutes = routes.map(route => {
+      try {
+        return this.compileRoute(route);
+      } catch (error) {
+        throw ErrorHandler.handleValidationError([
+          { path: route.id, message: `Route ${route.id} cannot be compiled: ${error.message}` }
+        ]);
+      }
+    });
+    const routeTree = new RouteTree();
+    compiledRoutes.forEach(route => routeTree.insert(route, this.countConditions(route)));
+
+    return { routes, compiledRoutes, routeTree };
+  }
+
+  rebuildRoutes(baseRoutes = this.baseRoutes, overrides = this.overrides) {
+    this.installRouteTables(baseRoutes, overrides, this.buildRouteTables(baseRoutes, overrides));
+  }
+
+  installRouteTables(baseRoutes, overrides, { routes, compiledRoutes, routeTree }) {
+    // Swap all tables together; in-flight requests keep the route copy in req.context
+    this.baseRoutes = baseRoutes;
+    this.overrides = overrides;
+    this.routes = routes;
+    this.compiledRoutes = compiledRoutes;
+    this.routeTree = routeTree;
+    this.version++;
+
+    // Admin changes rebuild the tables too, so the full list stays at debug
+    logger.logSystem('info', 'Routes initialized', {
+      version: this.version,
       routeCount: this.routes.length,
-      routes: this.routes.map(r => ({ path: r.path, target: r.target, methods: r.methods }))
+      overrideCount: this.overrides.size
+    });
+    logger.logSystem('debug', 'Route table', {
+      version: this.version,
+      routes: this.routes.map(r => ({ id: r.id, path: r.path, target: r.target, methods: r.methods }))
     });
   }
 
+  allowsMethod(route, method) {
+    return route.methods.includes(method) || (method === 'HEAD' && route.methods.includes('GET'));
+  }
+
   findRoute(req) {
     const { method, path } = req;
-    
-    for (const route of this.compiledRoutes) {
-      if (!route.methods.includes(method)) {
-        continue;
+
+    return this.routeTree.lookup(
+      path,
+      route => this.allowsMethod(route, method) && this.matchesConditions(route, req)
+    );
+  }
+
+  // Called before body parsing so streamed routes get the raw request stream
+  isStreamingRequest(req) {
+    const routeMatch = this.findRoute(req);
+    return Boolean(routeMatch && routeMatch.route.type === 'proxy' && routeMatch.route.streaming);
+  }
+
+  getAllowedMethods(req) {
+    const methods = new Set();
+
+    // Reject every candidate so the tree walk visits all routes matching this path
+    this.routeTree.lookup(req.path, route => {
+      if (this.matchesConditions(route, req)) {
+        route.methods.forEach(method => methods.add(method));
+      }
+      return false;
+    });
+
+    if (methods.size === 0) {
+      return [];
+    }
+
+    if (methods.has('GET')) {
+      methods.add('HEAD');
+    }
+    methods.add('OPTIONS');
+
+    return HTTP_METHODS.filter(method => methods.has(method));
+  }
+
+  respondToOptions(req, res, allowedMethods) {
+    // Paths without gateway routes (admin, health) keep the plain CORS preflight answer
+    if (allowedMethods.length > 0) {
+      res.setHeader('Allow', allowedMethods.join(', '));
+
+      if (req.headers.origin && req.headers['access-control-request-method']) {
+        res.setHeader('Access-Control-Allow-Methods', allowedMethods.join(', '));
+      }
+    }
+
+    res.setHeader('Content-Length', '0');
+    return res.status(204).end();
+  }
+
+  countConditions(route) {
+    return (route.hosts ? 1 : 0) +
+      Object.keys(route.headerConditions).length +
+      Object.keys(route.queryConditions).length +
+      Object.keys(route.cookieConditions).length;
+  }
+
+  matchesValue(actual, expected) {
+    if (actual === undefined || actual === null) {
+      return false;
+    }
+    if (expected === true) {
+      return true;
+    }
+
+    const values = Array.isArray(actual) ? actual : [actual];
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    return values.some(value => accepted.includes(String(value)));
+  }
+
+  checkConditions(route, req) {
+    const failures = [];
+
+    if (route.hostPatterns.length > 0) {
+      const host = (req.hostname || '').toLowerCase();
+      if (!route.hostPatterns.some(pattern => pattern.test(host))) {
+        failures.push({ condition: 'host', expected: route.hosts, actual: host || null });
+      }
+    }
+
+    Object.entries(route.headerConditions).forEach(([name, expected]) => {
+      if (!this.matchesValue(req.headers[name], expected)) {
+        failures.push({ condition: `header:${name}`, expected, actual: req.headers[name] ?? null });
       }
-      const match = route.regexp.exec(path);
-      if (match) {
-        return {
-          route,
-          match,
-          params: this.extractParams(route.originalPath, path)
-        };
+    });
+
+    const query = req.query || {};
+    Object.entries(route.queryConditions).forEach(([name, expected]) => {
+      if (!this.matchesValue(query[name], expected)) {
+        failures.push({ condition: `query:${name}`, expected, actual: query[name] ?? null });
       }
+    });
+
+    const cookieNames = Object.keys(route.cookieConditions);
+    if (cookieNames.length > 0) {
+      const cookies = parseCookies(req.headers.cookie);
+      cookieNames.forEach(name => {
+        const expected = route.cookieConditions[name];
+        if (!this.matchesValue(cookies[name], expected)) {
+          failures.push({ condition: `cookie:${name}`, expected, actual: cookies[name] ?? null });
+        }
+      });
     }
 
-    return null;
+    return failures;
+  }
+
+  matchesConditions(route, req) {
+    return this.checkConditions(route, req).length === 0;
   }
 
-  extractParams(pattern, path) {
-    const keys = [];
-    const regexp = pathToRegexp(pattern, keys, { sensitive: false, strict: false });
-    const match = regexp.exec(path);
+  extractParams(route, path) {
+    const match = route.regexp.exec(path);
     
     if (!match) return {};
 
     const params = {};
-    keys.forEach((key, index) => {
+    route.keys.forEach((key, index) => {
       params[key.name] = match[index + 1];
     });
 
     return params;
   }
 
-  buildTargetUrl(route, req) {
-    let targetPath = req.path;
+  getMatchedPrefix(route, path) {
+    const match = route.regexp.exec(path);
+    return match ? match[0] : '';
+  }
+
+  rewritePath(route, path, params) {
+    const { rewrite } = route;
+
+    if (typeof rewrite === 'string') {
+      return expandPathTemplate(rewrite, null, params);
+    }
+
+    if (rewrite.prefix !== undefined) {
+      const rest = path.slice(this.getMatchedPrefix(route, path).length);
+      return `${rewrite.prefix.replace(/\/$/, '')}${rest}` || '/';
+    }
 
-    if (route.stripPath) {
-      const routePathRegex = new RegExp(`^${route.originalPath.replace(/\/\*$/, '')}`);
-      targetPath = req.path.replace(routePathRegex, '') || '/';
+    const match = route.rewriteRegexp.exec(path);
+    if (!match) {
+      return null;
+    }
+
+    const replaced = expandPathTemplate(rewrite.replacement, match, params);
+    return path.slice(0, match.index) + replaced + path.slice(match.index + match[0].length);
+  }
+
+  buildTargetPath(route, req, params = {}) {
+    let targetPath = route.rewrite ? this.rewritePath(route, req.path, params) : null;
+
+    if (targetPath === null) {
+      targetPath = req.path;
+
+      if (route.stripPath) {
+        targetPath = req.path.slice(this.getMatchedPrefix(route, req.path).length) || '/';
+      }
     }
     if (!targetPath.startsWith('/')) {
       targetPath = '/' + targetPath;
     }
-    const targetBase = route.target.replace(/\/$/, '');
-    const targetUrl = `${targetBase}${targetPath}`;
     if (req.query && Object.keys(req.query).length > 0) {
       const queryString = new URLSearchParams(req.query).toString();
-      return `${targetUrl}?${queryString}`;
+      const separator = targetPath.includes('?') ? '&' : '?';
+      return `${targetPath}${separator}${queryString}`;
     }
 
-    return targetUrl;
+    return targetPath;
   }
-  validateRoute(route) {
-    const errors = [];
 
-    if (!route.path) {
-      errors.push('Route path is required');
-    }
+  joinTargetUrl(target, targetPath) {
+    return target ? `${target.replace(/\/$/, '')}${targetPath}` : null;
+  }
 
-    if (!route.target) {
-      errors.push('Route target is required');
-    }
+  buildTargetUrl(route, req, params = {}, target = route.target) {
+    return this.joinTargetUrl(target, this.buildTargetPath(route, req, params));
+  }
 
-    if (route.target && !this.isValidUrl(route.target)) {
-      errors.push('Route target must be a valid URL');
+  previewRewrite(id, sampleUrl, method = 'GET') {
+    const route = this.compiledRoutes.find(r => r.id === id);
+    if (!route) {
+      throw this.createRouteNotFoundError(id);
     }
 
-    if (route.timeout && (typeof route.timeout !== 'number' || route.timeout <= 0)) {
-      errors.push('Route timeout must be a positive number');
-    }
+    const url = new URL(sampleUrl, 'http://gateway.local');
+    const sampleReq = {
+      method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams)
+    };
 
-    if (route.retries && (typeof route.retries !== 'number' || route.retries < 0)) {
-      errors.push('Route retries must be a non-negative number');
-    }
+    const matched = route.regexp.test(sampleReq.path);
+    const params = matched ? this.extractParams(route, sampleReq.path) : {};
+    const targetPath = this.buildTargetPath(route, sampleReq, params);
 
-    if (route.methods && !Array.isArray(route.methods)) {
-      errors.push('Route methods must be an array');
-    }
+    return {
+      id: route.id,
+      input: `${url.pathname}${url.search}`,
+      matched,
+      params,
+      rewrite: route.rewrite || null,
+      stripPath: route.stripPath,
+      targetPath,
+      targetUrl: this.joinTargetUrl(route.target, targetPath)
+    };
+  }
+
+  explain({ method = 'GET', url, host = null, headers = {} }) {
+    const parsed = new URL(url, 'http://gateway.local');
+    const normalizedHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const sampleReq = {
+      method: method.toUpperCase(),
+      path: parsed.pathname,
+      hostname: host ? host.toLowerCase().replace(/:\d+$/, '') : null,
+      headers: host ? { ...normalizedHeaders, host } : normalizedHeaders,
+      query: Object.fromEntries(parsed.searchParams)
+    };
+
+    const routeMatch = this.findRoute(sampleReq);
+    const matchedId = routeMatch?.route.id;
+
+    const candidates = this.compiledRoutes.map(route => {
+      const reasons = [];
 
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
-    if (route.methods) {
-      const invalidMethods = route.methods.filter(method => !validMethods.includes(method));
-      if (invalidMethods.length > 0) {
-        errors.push(`Invalid HTTP methods: ${invalidMethods.join(', ')}`);
+      if (!route.regexp.test(sampleReq.path)) {
+        reasons.push({ check: 'path', message: `Path does not match ${route.path}` });
       }
+      if (!this.allowsMethod(route, sampleReq.method)) {
+        reasons.push({ check: 'method', message: `Method ${sampleReq.method} not in ${route.methods.join(', ')}` });
+      }
+      this.checkConditions(route, sampleReq).forEach(failure => {
+        reasons.push({
+          check: failure.condition,
+          message: `Expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`
+        });
+      });
+
+      let status = reasons.length === 0 ? 'shadowed' : 'rejected';
+      if (route.id === matchedId) {
+        status = 'matched';
+      } else if (status === 'shadowed') {
+        reasons.push({ check: 'specificity', message: `Route ${matchedId} is more specific` });
+      }
+
+      return { id: route.id, path: route.path, status, reasons };
+    });
+
+    const result = {
+      request: {
+        method: sampleReq.method,
+        path: sampleReq.path,
+        query: sampleReq.query,
+        host: sampleReq.hostname
+      },
+      matched: Boolean(routeMatch),
+      candidates
+    };
+
+    if (!routeMatch) {
+      result.allowedMethods = this.getAllowedMethods(sampleReq);
+      return result;
     }
 
-    return errors;
+    const { route, params } = routeMatch;
+    const targetPath = this.buildTargetPath(route, sampleReq, params);
+
+    return {
+      ...result,
+      route: this.describeRoute(route),
+      params,
+      targetPath,
+      targetUrl: this.joinTargetUrl(route.target, targetPath),
+      authRequired: route.authRequired,
+      rateLimitTier: route.rateLimitTier
+    };
+  }
+
+  validateRoute(route) {
+    const { error } = routeSchema.validate(route, { abortEarly: false });
+    return error ? formatValidationErrors(error).map(e => e.message) : [];
   }
 
   isValidUrl(string) {
@@ -135,59 +623,113 @@ class RoutingLayer {
     }
   }
 
+  // The route's time budget, which a client may shorten (never extend) with the deadline
+  // header or grpc-timeout. Counted from when the request reached the gateway.
+  getDeadline(req, route) {
+    const budgets = [
+      route.deadline,
+      parseTimeout(req.headers[config.deadline.header]),
+      parseTimeout(req.headers['grpc-timeout'])
+    ].filter(Boolean);
+
+    return budgets.length > 0 ? req.context.startTime + Math.min(...budgets) : null;
+  }
+
+  buildRouteContext(route, req, params) {
+    const targetPath = this.buildTargetPath(route, req, params);
+    const targetUrl = this.joinTargetUrl(route.target, targetPath);
+
+    return {
+      id: route.id,
+      type: route.type,
+      path: route.path,
+      response: route.response,
+      redirect: route.redirect,
+      aggregate: route.aggregate,
+      target: route.target,
+      targets: route.targets,
+      loadBalancing: route.loadBalancing,
+      splits: route.splits,
+      splitOptions: route.splitOptions,
+      targetPath,
+      targetUrl,
+      timeout: route.timeout,
+      deadline: route.deadline,
+      retries: route.retries,
+      retryPolicy: route.retryPolicy,
+      circuitBreaker: route.circuitBreaker,
+      bulkhead: route.bulkhead,
+      cache: route.cache,
+      coalesce: route.coalesce,
+      fallback: route.fallback,
+      mirrors: route.mirrors,
+      authRequired: route.authRequired,
+      rateLimitTier: route.rateLimitTier,
+      methods: route.methods,
+      stripPath: route.stripPath,
+      preserveHost: route.preserveHost,
+      changeOrigin: route.changeOrigin,
+      streaming: route.streaming,
+      idleTimeout: route.idleTimeout,
+      websocket: route.websocket,
+      params
+    };
+  }
+
   middleware() {
     return (req, res, next) => {
       try {
         const routeMatch = this.findRoute(req);
         
         if (!routeMatch) {
-          logger.logSystem('warn', 'No route found', {
-            requestId: req.requestId,
-            method: req.method,
-            path: req.path,
-            availableRoutes: this.routes.map(r => r.path)
-          });
+          const allowedMethods = this.getAllowedMethods(req);
+
+          if (req.method === 'OPTIONS') {
+            return this.respondToOptions(req, res, allowedMethods);
+          }
+
+          if (allowedMethods.length > 0) {
+            logger.logSystem('warn', 'Method not allowed', {
+              requestId: req.requestId,
+              method: req.method,
+              path: req.path,
+              allowedMethods
+            });
+
+            res.setHeader('Allow', allowedMethods.join(', '));
+            return next(ErrorHandler.handleMethodNotAllowedError(req.method, req.path, allowedMethods));
+          }
+
+          const details = { method: req.method, path: req.path };
+          const logDetails = { requestId: req.requestId, ...details, routeCount: this.routes.length };
+          if (config.server.nodeEnv === 'development') {
+            details.availableRoutes = this.routes.map(r => ({
+              path: r.path,
+              methods: r.methods
+            }));
+            logDetails.availableRoutes = this.routes.map(r => r.path);
+          }
+
+          logger.logSystem('warn', 'No route found', logDetails);
 
           return next(ErrorHandler.createError(
             `No route found for ${req.method} ${req.path}`,
             404,
             'ROUTE_NOT_FOUND',
-            {
-              method: req.method,
-              path: req.path,
-              availableRoutes: this.routes.map(r => ({
-                path: r.path,
-                methods: r.methods
-              }))
-            }
+            details
           ));
         }
 
         const { route, params } = routeMatch;
-
-        const targetUrl = this.buildTargetUrl(route, req);
-
-        req.context.route = {
-          path: route.path,
-          target: route.target,
-          targetUrl,
-          timeout: route.timeout,
-          retries: route.retries,
-          authRequired: route.authRequired,
-          rateLimitTier: route.rateLimitTier,
-          methods: route.methods,
-          stripPath: route.stripPath,
-          preserveHost: route.preserveHost,
-          changeOrigin: route.changeOrigin,
-          params
-        };
+        req.context.route = this.buildRouteContext(route, req, params);
+        req.context.deadline = this.getDeadline(req, route);
 
         logger.logSystem('debug', 'Route matched', {
           requestId: req.requestId,
           method: req.method,
           originalPath: req.path,
           matchedRoute: route.path,
-          targetUrl,
+          targetUrl: req.context.route.targetUrl,
           authRequired: route.authRequired,
           rateLimitTier: route.rateLimitTier
         });
@@ -211,8 +753,12 @@ class RoutingLayer {
     };
   }
 
-  addRoute(routeConfig) {
-    const errors = this.validateRoute(routeConfig);
+  // Tiers come from the rate limit layer, which has the ones a reloaded config file added
+  validateRouteConfig(routeConfig) {
+    const { value, error } = routeSchema.validate(routeConfig, { abortEarly: false });
+    const tiers = this.rateLimitLayer ? this.rateLimitLayer.rateLimitTiers : config.rateLimiting.tiers;
+    const errors = error ? formatValidationErrors(error) : findReferenceErrors(value, tiers);
+
     if (errors.length > 0) {
       throw ErrorHandler.createError(
         'Invalid route configuration',
@@ -221,59 +767,195 @@ class RoutingLayer {
         { errors }
       );
     }
-    const route = {
-      ...routeConfig,
-      timeout: routeConfig.timeout || 5000,
-      retries: routeConfig.retries || 3,
-      authRequired: routeConfig.authRequired !== false,
-      rateLimitTier: routeConfig.rateLimitTier || 'basic',
-      methods: routeConfig.methods || ['GET'],
-      stripPath: routeConfig.stripPath !== false,
-      preserveHost: routeConfig.preserveHost === true,
-      changeOrigin: routeConfig.changeOrigin !== false
-    };
 
-    this.routes.push(route);
-    this.compiledRoutes.push({
-      ...route,
-      regexp: pathToRegexp(route.path, [], { sensitive: false, strict: false }),
-      originalPath: route.path
-    });
+    return value;
+  }
+
+  getRouteConfig(id) {
+    if (this.overrides.has(id)) {
+      return this.overrides.get(id);
+    }
+
+    return this.baseRoutes.find(route => route.id === id) || null;
+  }
+
+  getRoute(id) {
+    const route = this.routes.find(r => r.id === id);
+    return route ? this.describeRoute(route) : null;
+  }
+
+  createRouteNotFoundError(id) {
+    return ErrorHandler.createError(
+      `Route ${id} not found`,
+      404,
+      'ROUTE_NOT_FOUND',
+      { id }
+    );
+  }
+
+  addRoute(routeConfig) {
+    const route = this.validateRouteConfig(routeConfig);
+    const id = route.id || this.generateRouteId(route.path, new Set(this.routes.map(r => r.id)));
+
+    if (this.getRouteConfig(id)) {
+      throw ErrorHandler.createError(
+        `Route ${id} already exists`,
+        409,
+        'ROUTE_ALREADY_EXISTS',
+        { id }
+      );
+    }
+
+    this.rebuildRoutes(this.baseRoutes, new Map(this.overrides).set(id, { ...route, id }));
 
     logger.logSystem('info', 'Route added', {
+      id,
+      path: route.path,
+      target: route.target,
+      methods: route.methods
+    });
+
+    return this.getRoute(id);
+  }
+
+  updateRoute(id, routeConfig) {
+    if (routeConfig.id && routeConfig.id !== id) {
+      throw ErrorHandler.createError(
+        'Route id in body does not match the URL',
+        400,
+        'INVALID_ROUTE_CONFIG',
+        { errors: [{ path: 'id', message: `Expected "${id}", got "${routeConfig.id}"` }] }
+      );
+    }
+
+    const route = this.validateRouteConfig({ ...routeConfig, id });
+    const created = !this.getRouteConfig(id);
+
+    this.rebuildRoutes(this.baseRoutes, new Map(this.overrides).set(id, route));
+
+    logger.logSystem('info', created ? 'Route added' : 'Route replaced', {
+      id,
       path: route.path,
       target: route.target,
       methods: route.methods
     });
 
-    return route;
+    return { route: this.getRoute(id), created };
+  }
+
+  patchRoute(id, changes) {
+    const current = this.getRouteConfig(id);
+    if (!current) {
+      throw this.createRouteNotFoundError(id);
+    }
+
+    return this.updateRoute(id, { ...current, ...changes }).route;
+  }
+
+  setSplitWeights(id, weights) {
+    const current = this.getRouteConfig(id);
+    if (!current) {
+      throw this.createRouteNotFoundError(id);
+    }
+    if (!current.splits) {
+      throw ErrorHandler.createError(
+        `Route ${id} has no traffic splits`,
+        400,
+        'INVALID_ROUTE_CONFIG',
+        { errors: [{ path: 'splits', message: 'Route has no splits to reweight' }] }
+      );
+    }
+
+    const unknown = Object.keys(weights).filter(name => !current.splits.some(split => split.name === name));
+    if (unknown.length > 0) {
+      throw ErrorHandler.createError(
+        'Unknown split names',
+        400,
+        'INVALID_ROUTE_CONFIG',
+        { errors: unknown.map(name => ({ path: `splits.${name}`, message: `Split "${name}" does not exist` })) }
+      );
+    }
+
+    const splits = current.splits.map(split => (
+      weights[split.name] !== undefined ? { ...split, weight: weights[split.name] } : split
+    ));
+
+    return this.patchRoute(id, { splits });
+  }
+
+  removeRouteById(id) {
+    if (!this.getRouteConfig(id)) {
+      return false;
+    }
+
+    const overrides = new Map(this.overrides);
+    if (this.baseRoutes.some(route => route.id === id)) {
+      overrides.set(id, null);
+    } else {
+      overrides.delete(id);
+    }
+    this.rebuildRoutes(this.baseRoutes, overrides);
+
+    logger.logSystem('info', 'Route removed', { id });
+
+    return true;
   }
 
   removeRoute(path) {
-    const initialLength = this.routes.length;
-    
-    this.routes = this.routes.filter(route => route.path !== path);
-    this.compiledRoutes = this.compiledRoutes.filter(route => route.originalPath !== path);
+    const ids = this.routes.filter(route => route.path === path).map(route => route.id);
+    ids.forEach(id => this.removeRouteById(id));
 
-    const removed = initialLength - this.routes.length;
-    
-    if (removed > 0) {
-      logger.logSystem('info', 'Route removed', { path, routesRemoved: removed });
+    if (ids.length > 0) {
+      logger.logSystem('info', 'Route removed', { path, routesRemoved: ids.length });
     }
 
-    return removed > 0;
+    return ids.length > 0;
   }
 
-  getRoutes() {
-    return this.routes.map(route => ({
+  describeRoute(route) {
+    return {
+      id: route.id,
+      source: route.source,
+      type: route.type,
       path: route.path,
       target: route.target,
+      targets: route.targets,
+      loadBalancing: route.loadBalancing.strategy,
+      splits: route.splits ? route.splits.map(split => ({
+        name: split.name,
+        weight: split.weight,
+        targets: split.targets.map(target => target.url)
+      })) : null,
       methods: route.methods,
+      rewrite: route.rewrite || null,
+      response: route.response || null,
+      redirect: route.redirect || null,
+      aggregate: route.aggregate,
+      hosts: route.hosts || null,
+      headers: route.headers || null,
+      query: route.query || null,
+      cookies: route.cookies || null,
       timeout: route.timeout,
+      deadline: route.deadline,
       retries: route.retries,
+      retryPolicy: route.retryPolicy,
+      circuitBreaker: route.circuitBreaker,
+      healthCheck: route.healthCheck,
+      bulkhead: route.bulkhead,
+      cache: route.cache,
+      coalesce: route.coalesce,
+      fallback: route.fallback,
+      mirrors: route.mirrors,
+      streaming: route.streaming,
+      idleTimeout: route.streaming ? route.idleTimeout : null,
+      websocket: route.websocket,
       authRequired: route.authRequired,
       rateLimitTier: route.rateLimitTier
-    }));
+    };
+  }
+
+  getRoutes() {
+    return this.routes.map(route => this.describeRoute(route));
   }
 
   getStats() {
@@ -289,6 +971,7 @@ class RoutingLayer {
     });
 
     return {
+      version: this.version,
       totalRoutes: this.routes.length,
       methodCounts,
       tierCounts,
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ErrorHandler = require('../utils/errorHandler');
+const { resolveStaticFile, getStaticRoot, isInside } = require('../utils/staticFiles');
+const { expandPathTemplate, renderTemplate, escapeHtml } = require('../utils/template');
+const logger = require('./logging');
+
+class StaticResponseLayer {
+  getTemplateVariables(req) {
+    const route = req.context.route;
+
+    return {
+      params: route.params,
+      query: req.query,
+      user: req.context.user,
+      requestId: req.requestId,
+      method: req.method,
+      path: req.path
+    };
+  }
+
+  // Checked again at read time, after symlinks are resolved, so a link inside the root
+  // cannot point a route at a file outside it
+  async loadFileBody(response) {
+    try {
+      const root = await fs.realpath(getStaticRoot());
+      const filePath = resolveStaticFile(response.file, root);
+      const realPath = filePath && await fs.realpath(filePath);
+
+      if (!realPath || !isInside(root, realPath)) {
+        throw ErrorHandler.createError(
+          'Static response file is outside the static files root',
+          403,
+          'STATIC_RESPONSE_FORBIDDEN',
+          { file: response.file }
+        );
+      }
+
+      return {
+        content: await fs.readFile(realPath, 'utf8'),
+        extension: path.extname(realPath)
+      };
+    } catch (error) {
+      if (error instanceof ErrorHandler.GatewayError) {
+        throw error;
+      }
+
+      throw ErrorHandler.createError(
+        'Static response file could not be read',
+        500,
+        'STATIC_RESPONSE_ERROR',
+        { file: response.file, originalError: error.message }
+      );
+    }
+  }
+
+  async sendStaticResponse(req, res) {
+    const { response } = req.context.route;
+    const variables = response.template ? this.getTemplateVariables(req) : null;
+
+    res.status(response.status || 200);
+    res.setHeader('X-Gateway-Service', 'api-gateway');
+    Object.entries(response.headers || {}).forEach(([name, value]) => {
+      res.setHeader(name, variables ? renderTemplate(value, variables) : value);
+    });
+
+    if (response.file) {
+      const { content, extension } = await this.loadFileBody(response);
+      if (!res.get('Content-Type')) {
+        res.type(extension || 'txt');
+      }
+      return res.send(variables ? renderTemplate(content, variables, this.getFormatter(res)) : content);
+    }
+
+    if (response.body === undefined) {
+      return res.end();
+    }
+
+    if (typeof response.body !== 'string') {
+      return res.json(variables ? renderTemplate(response.body, variables) : response.body);
+    }
+    return res.send(variables ? renderTemplate(response.body, variables, this.getFormatter(res)) : response.body);
+  }
+
+  // Values from the request are escaped in HTML, which is also what a string body is sent as by default
+  getFormatter(res) {
+    return /html/i.test(res.get('Content-Type') || 'text/html') ? escapeHtml : String;
+  }
+
+  sendRedirect(req, res) {
+    const { redirect, params } = req.context.route;
+    let location = expandPathTemplate(redirect.url, null, params);
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    if (redirect.preserveQuery !== false && queryIndex !== -1) {
+      const separator = location.includes('?') ? '&' : '?';
+      location += separator + req.originalUrl.slice(queryIndex + 1);
+    }
+
+    res.setHeader('X-Gateway-Service', 'api-gateway');
+    res.redirect(redirect.status || 302, location);
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const route = req.context.route;
+
+      if (!route || (route.type !== 'static' && route.type !== 'redirect')) {
+        return next();
+      }
+
+      try {
+        logger.logSystem('debug', 'Serving route without upstream', {
+          requestId: req.requestId,
+          routeId: route.id,
+          type: route.type
+        });
+
+        if (route.type === 'redirect') {
+          return this.sendRedirect(req, res);
+        }
+
+        await this.sendStaticResponse(req, res);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = StaticResponseLayer;
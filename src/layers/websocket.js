@@ -0,0 +1,384 @@
+const http = require('http');
+const https = require('https');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const ErrorHandler = require('../utils/errorHandler');
+const logger = require('./logging');
+const metrics = require('./metrics');
+
+class WebSocketLayer {
+  constructor({ entryLayer, authLayer, rateLimitLayer, routingLayer, forwardingLayer }) {
+    this.entryLayer = entryLayer;
+    this.authLayer = authLayer;
+    this.rateLimitLayer = rateLimitLayer;
+    this.routingLayer = routingLayer;
+    this.forwardingLayer = forwardingLayer;
+    this.connections = new Set();
+    this.isClosing = false;
+  }
+
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        logger.logSystem('error', 'WebSocket upgrade failed', { error: error.message });
+        socket.destroy();
+      });
+    });
+  }
+
+  // The handshake never reaches Express, so build the request shape the other layers expect
+  createUpgradeRequest(req, socket) {
+    const url = new URL(req.url, 'http://gateway.local');
+    const requestId = req.headers['x-request-id'] || randomUUID();
+
+    return {
+      method: req.method,
+      url: req.url,
+      originalUrl: req.url,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      hostname: (req.headers.host || '').replace(/:\d+$/, '').toLowerCase(),
+      protocol: socket.encrypted ? 'https' : 'http',
+      get: name => req.headers[name.toLowerCase()],
+      requestId,
+      context: {
+        requestId,
+        startTime: Date.now(),
+        userAgent: req.headers['user-agent'] || 'unknown',
+        clientIp: this.entryLayer.getClientIp(req),
+        user: null
+      }
+    };
+  }
+
+  async handleUpgrade(req, socket, head) {
+    // Until the bridge takes over, a client reset must not surface as an unhandled 'error'
+    socket.on('error', (error) => {
+      logger.logSystem('debug', 'WebSocket client socket error', { error: error.message });
+      socket.destroy();
+    });
+
+    const upgradeReq = this.createUpgradeRequest(req, socket);
+
+    if (this.isClosing) {
+      return this.rejectHandshake(socket, upgradeReq, ErrorHandler.createError(
+        'Gateway is shutting down',
+        503,
+        'SHUTTING_DOWN'
+      ));
+    }
+
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      return this.rejectHandshake(socket, upgradeReq, ErrorHandler.createError(
+        'Only WebSocket upgrades are supported',
+        400,
+        'UNSUPPORTED_UPGRADE',
+        { upgrade: req.headers.upgrade || null }
+      ));
+    }
+
+    const routeMatch = this.routingLayer.findRoute(upgradeReq);
+    if (!routeMatch || !routeMatch.route.websocket) {
+      return this.rejectHandshake(socket, upgradeReq, ErrorHandler.createError(
+        `No WebSocket route found for ${upgradeReq.path}`,
+        404,
+        'ROUTE_NOT_FOUND',
+        { path: upgradeReq.path }
+      ));
+    }
+
+    const { route, params } = routeMatch;
+    const headers = {};
+
+    try {
+      if (route.authRequired) {
+        await this.authenticate(upgradeReq);
+      }
+
+      Object.assign(headers, await this.checkRateLimit(upgradeReq, route));
+    } catch (error) {
+      return this.rejectHandshake(socket, upgradeReq, error, headers);
+    }
+
+    // The query token was only for the gateway; keep it out of upstream URLs and logs
+    delete upgradeReq.query[config.websocket.tokenQueryParam];
+    upgradeReq.context.route = this.routingLayer.buildRouteContext(route, upgradeReq, params);
+
+    return this.proxyUpgrade(upgradeReq, socket, head);
+  }
+
+  async authenticate(upgradeReq) {
+    const token = this.authLayer.extractToken(upgradeReq, { allowQueryToken: true });
+
+    if (!token) {
+      logger.logAuth(upgradeReq.requestId, 'missing_token', { websocket: true });
+      throw ErrorHandler.createError('Authorization token is required', 401, 'MISSING_TOKEN');
+    }
+
+    const decoded = await this.authLayer.verifyToken(token);
+    upgradeReq.context.user = this.authLayer.extractUserContext(decoded);
+    upgradeReq.context.authenticated = true;
+
+    logger.logAuth(upgradeReq.requestId, 'success', {
+      userId: upgradeReq.context.user.id,
+      tier: upgradeReq.context.user.tier,
+      websocket: true
+    });
+  }
+
+  // New connections count against the same tier budget as plain requests
+  async checkRateLimit(upgradeReq, route) {
+    const tier = upgradeReq.context.user?.tier || route.rateLimitTier;
+    const result = await this.rateLimitLayer.checkRateLimit(upgradeReq, tier);
+    const headers = {
+      'X-RateLimit-Limit': this.rateLimitLayer.getTierConfig(tier).requests,
+      'X-RateLimit-Remaining': result.remaining,
+      'X-RateLimit-Reset': Math.ceil(result.resetTime / 1000),
+      'X-RateLimit-Tier': result.tier || tier
+    };
+
+    if (!result.allowed) {
+      const error = ErrorHandler.handleRateLimitError(result.remaining, result.resetTime, result.tier);
+      error.headers = headers;
+      throw error;
+    }
+
+    return headers;
+  }
+
+  async proxyUpgrade(upgradeReq, socket, head) {
+    const route = upgradeReq.context.route;
+    const balancer = this.forwardingLayer.getLoadBalancer(route);
+    const target = this.forwardingLayer.selectTarget(upgradeReq, route, balancer, new Set());
+    const serviceName = this.forwardingLayer.extractServiceName(target.url);
+    const targetUrl = this.forwardingLayer.buildUpstreamUrl(target, route.targetPath);
+    const startTime = Date.now();
+
+    let handshake;
+    try {
+      logger.logUpstreamStart(upgradeReq.requestId, 'GET', targetUrl, serviceName);
+      handshake = await this.forwardingLayer.getCircuitBreaker(serviceName, route).execute(
+        () => this.connectUpstream(upgradeReq, socket, route, target, targetUrl),
+        upgradeReq.requestId
+      );
+    } catch (error) {
+      logger.logUpstreamComplete(upgradeReq.requestId, 'GET', targetUrl, serviceName, 0, Date.now() - startTime, error);
+      const gatewayError = error instanceof ErrorHandler.GatewayError
+        ? error
+        : ErrorHandler.mapUpstreamError(error, serviceName);
+      return this.rejectHandshake(socket, upgradeReq, gatewayError);
+    }
+
+    if (handshake.aborted) {
+      metrics.recordWebSocket('rejected', route.id, 'client_closed');
+      logger.logSystem('debug', 'WebSocket client left during the upstream handshake', {
+        requestId: upgradeReq.requestId,
+        routeId: route.id
+      });
+      return;
+    }
+
+    const { upstreamResponse, upstreamSocket, upstreamHead } = handshake;
+    logger.logUpstreamComplete(
+      upgradeReq.requestId,
+      'GET',
+      targetUrl,
+      serviceName,
+      upstreamResponse.statusCode,
+      Date.now() - startTime
+    );
+
+    // Upstream answered without switching protocols; relay its response and close.
+    // The body arrives already de-chunked, so it is delimited by closing the socket instead.
+    if (!upstreamSocket) {
+      const rawHeaders = upstreamResponse.rawHeaders.filter((value, index, all) => (
+        index % 2 === 0
+          ? !['transfer-encoding', 'connection'].includes(value.toLowerCase())
+          : !['transfer-encoding', 'connection'].includes(all[index - 1].toLowerCase())
+      ));
+      socket.write(this.formatResponseHead(upstreamResponse.statusCode, upstreamResponse.statusMessage, rawHeaders, {
+        'Connection': 'close'
+      }));
+      upstreamResponse.pipe(socket);
+      metrics.recordWebSocket('rejected', route.id, 'upstream_refused');
+      return;
+    }
+
+    socket.write(this.formatResponseHead(101, 'Switching Protocols', upstreamResponse.rawHeaders, {
+      'X-Request-ID': upgradeReq.requestId
+    }));
+    this.bridge(upgradeReq, socket, head, upstreamSocket, upstreamHead);
+  }
+
+  // A client that goes away mid-handshake aborts the upstream request. That resolves with
+  // `aborted` rather than rejecting, so the circuit breaker does not count it as a failure.
+  connectUpstream(upgradeReq, socket, route, target, targetUrl) {
+    return new Promise((resolve, reject) => {
+      if (socket.destroyed) {
+        return resolve({ aborted: true });
+      }
+
+      const client = targetUrl.startsWith('https:') ? https : http;
+      const headers = {
+        ...this.forwardingLayer.buildUpstreamHeaders(upgradeReq, route, target),
+        connection: 'Upgrade',
+        upgrade: upgradeReq.headers.upgrade
+      };
+
+      const upstreamReq = client.request(targetUrl, { method: 'GET', headers, timeout: route.timeout });
+      const onClientClose = () => {
+        upstreamReq.destroy();
+        resolve({ aborted: true });
+      };
+      const settle = (fn) => (...args) => {
+        socket.removeListener('close', onClientClose);
+        fn(...args);
+      };
+      socket.once('close', onClientClose);
+
+      upstreamReq.on('upgrade', settle((upstreamResponse, upstreamSocket, upstreamHead) => {
+        resolve({ upstreamResponse, upstreamSocket, upstreamHead });
+      }));
+      // `status` lets the circuit breaker count a refused handshake the way it counts an HTTP 5xx
+      upstreamReq.on('response', settle((upstreamResponse) => resolve({ upstreamResponse, status: upstreamResponse.statusCode })));
+      upstreamReq.on('timeout', () => {
+        upstreamReq.destroy(ErrorHandler.createError(
+          'WebSocket handshake timeout',
+          504,
+          'GATEWAY_TIMEOUT',
+          { timeout: route.timeout, service: this.forwardingLayer.extractServiceName(target.url) }
+        ));
+      });
+      upstreamReq.on('error', settle(reject));
+      upstreamReq.end();
+    });
+  }
+
+  bridge(upgradeReq, clientSocket, clientHead, upstreamSocket, upstreamHead) {
+    const routeId = upgradeReq.context.route.id;
+    const connection = { clientSocket, upstreamSocket, routeId, requestId: upgradeReq.requestId };
+
+    [clientSocket, upstreamSocket].forEach((socket) => {
+      socket.setTimeout(0);
+      socket.setNoDelay(true);
+      socket.setKeepAlive(true);
+    });
+
+    if (upstreamHead.length > 0) {
+      clientSocket.write(upstreamHead);
+    }
+    if (clientHead.length > 0) {
+      upstreamSocket.write(clientHead);
+    }
+
+    clientSocket.pipe(upstreamSocket).pipe(clientSocket);
+
+    let closed = false;
+    const onClose = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      this.connections.delete(connection);
+      clientSocket.end();
+      upstreamSocket.end();
+      metrics.recordWebSocket('closed', routeId);
+      logger.logSystem('debug', 'WebSocket connection closed', {
+        requestId: connection.requestId,
+        routeId
+      });
+    };
+
+    clientSocket.on('close', onClose);
+    upstreamSocket.on('close', onClose);
+    [clientSocket, upstreamSocket].forEach((socket) => {
+      socket.on('error', () => {
+        clientSocket.destroy();
+        upstreamSocket.destroy();
+      });
+    });
+
+    this.connections.add(connection);
+    metrics.recordWebSocket('opened', routeId);
+    logger.logSystem('debug', 'WebSocket connection opened', {
+      requestId: connection.requestId,
+      routeId,
+      userId: upgradeReq.context.user?.id || null
+    });
+  }
+
+  formatResponseHead(statusCode, statusMessage, rawHeaders = [], extraHeaders = {}) {
+    const lines = [`HTTP/1.1 ${statusCode} ${statusMessage || http.STATUS_CODES[statusCode] || ''}`];
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      lines.push(`${rawHeaders[i]}: ${rawHeaders[i + 1]}`);
+    }
+    Object.entries(extraHeaders).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+
+    return lines.join('\r\n') + '\r\n\r\n';
+  }
+
+  rejectHandshake(socket, upgradeReq, error, headers = {}) {
+    const statusCode = error.statusCode || 500;
+    const body = JSON.stringify({
+      error: error.errorCode || 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      details: error.details || null,
+      requestId: upgradeReq.requestId,
+      timestamp: error.timestamp || new Date().toISOString()
+    });
+
+    metrics.recordWebSocket('rejected', upgradeReq.context.route?.id, error.errorCode);
+    logger.logSystem('warn', 'WebSocket handshake rejected', {
+      requestId: upgradeReq.requestId,
+      path: upgradeReq.path,
+      statusCode,
+      errorCode: error.errorCode
+    });
+
+    socket.end(this.formatResponseHead(statusCode, null, [], {
+      ...headers,
+      ...error.headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-Request-ID': upgradeReq.requestId,
+      'Connection': 'close'
+    }) + body);
+  }
+
+  closeConnection({ clientSocket, upstreamSocket }) {
+    return new Promise((resolve) => {
+      if (clientSocket.closed) {
+        resolve();
+        return;
+      }
+      clientSocket.once('close', resolve);
+
+      // The gateway relays bytes without parsing frames, so a close frame written now could
+      // land in the middle of one already in flight; dropping both sides is the safe close
+      clientSocket.destroy();
+      upstreamSocket.destroy();
+    });
+  }
+
+  async close() {
+    this.isClosing = true;
+    const connections = [...this.connections];
+
+    if (connections.length > 0) {
+      logger.logSystem('info', 'Closing WebSocket connections', { count: connections.length });
+    }
+
+    await Promise.all(connections.map(connection => this.closeConnection(connection)));
+  }
+
+  getStats() {
+    return {
+      active: this.connections.size,
+      closing: this.isClosing
+    };
+  }
+}
+
+module.exports = WebSocketLayer;
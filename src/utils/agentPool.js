@@ -0,0 +1,136 @@
+const http = require('http');
+const https = require('https');
+
+function countEntries(map) {
+  return Object.values(map).reduce((sum, list) => sum + list.length, 0);
+}
+
+// Node agents queue requests without limit once maxSockets is reached; these
+// subclasses fail a queued request after `queueTimeout` instead of letting it wait forever
+function withQueueTimeout(BaseAgent) {
+  return class extends BaseAgent {
+    constructor(options) {
+      super(options);
+      this.queueTimeout = options.queueTimeout;
+      this.queueTimeouts = 0;
+    }
+
+    addRequest(req, options) {
+      super.addRequest(req, options);
+
+      // Look the queue up by request: the agent derives its key from options it normalizes itself
+      const name = Object.keys(this.requests).find(key => this.requests[key].includes(req));
+      if (!this.queueTimeout || !name) {
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        const queue = this.requests[name] || [];
+        const index = queue.indexOf(req);
+        if (index === -1) {
+          return;
+        }
+
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+          delete this.requests[name];
+        }
+
+        this.queueTimeouts++;
+        const error = new Error(`No upstream connection available within ${this.queueTimeout}ms`);
+        error.code = 'EQUEUETIMEOUT';
+        // A queued request has no socket to destroy; failing onSocket is how agents report errors
+        req.onSocket(null, error);
+      }, this.queueTimeout);
+
+      req.once('socket', () => clearTimeout(timer));
+      req.once('close', () => clearTimeout(timer));
+    }
+  };
+}
+
+const QueueTimeoutHttpAgent = withQueueTimeout(http.Agent);
+const QueueTimeoutHttpsAgent = withQueueTimeout(https.Agent);
+
+class AgentPool {
+  constructor(defaults = {}) {
+    this.defaults = { ...defaults };
+    this.serviceOptions = {};
+    this.pools = new Map();
+  }
+
+  getOptions(serviceName) {
+    return { ...this.defaults, ...this.serviceOptions[serviceName] };
+  }
+
+  createAgent(protocol, options) {
+    const AgentClass = protocol === 'https:' ? QueueTimeoutHttpsAgent : QueueTimeoutHttpAgent;
+
+    return new AgentClass({
+      keepAlive: true,
+      maxSockets: options.maxSockets,
+      maxFreeSockets: options.maxFreeSockets,
+      // Idle keep-alive sockets are closed after this long
+      timeout: options.keepAliveTimeout,
+      queueTimeout: options.queueTimeout,
+      scheduling: 'lifo'
+    });
+  }
+
+  getAgent(serviceName, protocol = 'http:') {
+    if (!this.pools.has(serviceName)) {
+      this.pools.set(serviceName, {});
+    }
+
+    const pool = this.pools.get(serviceName);
+    if (!pool[protocol]) {
+      pool[protocol] = this.createAgent(protocol, this.getOptions(serviceName));
+    }
+    return pool[protocol];
+  }
+
+  applyOptions(agent, options) {
+    agent.maxSockets = options.maxSockets;
+    agent.maxFreeSockets = options.maxFreeSockets;
+    agent.options.timeout = options.keepAliveTimeout;
+    agent.queueTimeout = options.queueTimeout;
+  }
+
+  configure({ defaults = {}, services = {} } = {}) {
+    this.defaults = { ...this.defaults, ...defaults };
+    this.serviceOptions = { ...services };
+
+    // Agents read their limits on every request, so existing pools pick up new values in place
+    this.pools.forEach((pool, serviceName) => {
+      const options = this.getOptions(serviceName);
+      Object.values(pool).forEach(agent => this.applyOptions(agent, options));
+    });
+  }
+
+  getStats() {
+    const stats = {};
+
+    this.pools.forEach((pool, serviceName) => {
+      const agents = Object.values(pool);
+      const options = this.getOptions(serviceName);
+
+      stats[serviceName] = {
+        active: agents.reduce((sum, agent) => sum + countEntries(agent.sockets), 0),
+        idle: agents.reduce((sum, agent) => sum + countEntries(agent.freeSockets), 0),
+        queued: agents.reduce((sum, agent) => sum + countEntries(agent.requests), 0),
+        queueTimeouts: agents.reduce((sum, agent) => sum + agent.queueTimeouts, 0),
+        maxSockets: options.maxSockets,
+        maxFreeSockets: options.maxFreeSockets
+      };
+    });
+
+    return stats;
+  }
+
+  destroy() {
+    this.pools.forEach(pool => Object.values(pool).forEach(agent => agent.destroy()));
+    this.pools.clear();
+  }
+}
+
+module.exports = AgentPool;
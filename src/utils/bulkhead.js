@@ -0,0 +1,92 @@
+const ErrorHandler = require('./errorHandler');
+
+// Caps concurrent upstream calls for one service (or one route's share of it). Calls over
+// `maxConcurrent` wait in a queue of at most `maxQueue` for up to `queueTimeout`;
+// anything beyond that is rejected straight away instead of piling up behind a slow upstream.
+class Bulkhead {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.serviceName = options.serviceName || name;
+    this.inFlight = 0;
+    this.queue = [];
+    this.rejected = 0;
+    this.queueTimeouts = 0;
+    this.configure(options);
+  }
+
+  configure({ maxConcurrent, maxQueue, queueTimeout }) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.queueTimeout = queueTimeout;
+    this.drain();
+  }
+
+  acquire() {
+    if (this.inFlight < this.maxConcurrent) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected++;
+      return Promise.reject(this.createError('queue_full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+
+      entry.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        this.queueTimeouts++;
+        reject(this.createError('queue_timeout'));
+      }, this.queueTimeout);
+
+      this.queue.push(entry);
+    });
+  }
+
+  release() {
+    this.inFlight--;
+    this.drain();
+  }
+
+  drain() {
+    while (this.queue.length > 0 && this.inFlight < this.maxConcurrent) {
+      const entry = this.queue.shift();
+      clearTimeout(entry.timer);
+      this.inFlight++;
+      entry.resolve();
+    }
+  }
+
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  createError(reason) {
+    return ErrorHandler.handleBulkheadError(this.serviceName, reason, {
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      queueTimeout: this.queueTimeout
+    });
+  }
+
+  getState() {
+    return {
+      serviceName: this.serviceName,
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      rejected: this.rejected,
+      queueTimeouts: this.queueTimeouts
+    };
+  }
+}
+
+module.exports = Bulkhead;
@@ -0,0 +1,388 @@
+const config = require('../config');
+const ErrorHandler = require('./errorHandler');
+const logger = require('../layers/logging');
+const metrics = require('../layers/metrics');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const BUCKET_MS = 1000;
+
+function emptyStats() {
+  return { calls: 0, failures: 0, slowCalls: 0 };
+}
+
+// Keeps the outcome of the last `size` calls
+class CountWindow {
+  constructor(size) {
+    this.size = size;
+    this.reset();
+  }
+
+  record(outcome) {
+    const evicted = this.outcomes[this.index];
+    if (evicted) {
+      this.stats.calls--;
+      this.stats.failures -= evicted.failure ? 1 : 0;
+      this.stats.slowCalls -= evicted.slow ? 1 : 0;
+    }
+
+    this.outcomes[this.index] = outcome;
+    this.index = (this.index + 1) % this.size;
+    this.stats.calls++;
+    this.stats.failures += outcome.failure ? 1 : 0;
+    this.stats.slowCalls += outcome.slow ? 1 : 0;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  reset() {
+    this.outcomes = new Array(this.size).fill(null);
+    this.index = 0;
+    this.stats = emptyStats();
+  }
+}
+
+// Keeps call outcomes from the last `windowMs` in one-second buckets
+class TimeWindow {
+  constructor(windowMs) {
+    this.bucketCount = Math.max(1, Math.ceil(windowMs / BUCKET_MS));
+    this.reset();
+  }
+
+  currentBucket() {
+    const start = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+    const bucket = this.buckets[(start / BUCKET_MS) % this.bucketCount];
+
+    if (bucket.start !== start) {
+      Object.assign(bucket, emptyStats(), { start });
+    }
+    return bucket;
+  }
+
+  record(outcome) {
+    const bucket = this.currentBucket();
+    bucket.calls++;
+    bucket.failures += outcome.failure ? 1 : 0;
+    bucket.slowCalls += outcome.slow ? 1 : 0;
+  }
+
+  getStats() {
+    const oldest = Date.now() - this.bucketCount * BUCKET_MS;
+
+    return this.buckets
+      .filter(bucket => bucket.start > oldest)
+      .reduce((sum, bucket) => ({
+        calls: sum.calls + bucket.calls,
+        failures: sum.failures + bucket.failures,
+        slowCalls: sum.slowCalls + bucket.slowCalls
+      }), emptyStats());
+  }
+
+  reset() {
+    this.buckets = Array.from({ length: this.bucketCount }, () => ({ start: 0, ...emptyStats() }));
+  }
+}
+
+function createWindow(options) {
+  return options.windowType === 'time'
+    ? new TimeWindow(options.windowMs)
+    : new CountWindow(options.windowSize);
+}
+
+class CircuitBreaker {
+  constructor(serviceName, options = {}) {
+    this.serviceName = serviceName;
+    this.name = options.name || serviceName;
+    this.options = { ...config.circuitBreaker };
+    this.configure(options);
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this.nextAttempt = null;
+    this.successCount = 0;
+    this.halfOpenInFlight = 0;
+    this.store = null;
+    this.sharedStats = null;
+  }
+
+  // With a store, windows and transitions are shared with the other gateway instances
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Lets a call through, or throws CIRCUIT_BREAKER_OPEN. Returns whether the call is a half-open trial.
+  acquire(requestId) {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() < this.nextAttempt) {
+        logger.logCircuitBreaker(requestId, this.name, 'blocked', {
+          state: this.state,
+          nextAttempt: new Date(this.nextAttempt).toISOString()
+        });
+        throw ErrorHandler.handleCircuitBreakerError(this.serviceName, this.state);
+      }
+
+      this.transition(requestId, CIRCUIT_STATES.HALF_OPEN, { previousState: CIRCUIT_STATES.OPEN });
+    }
+
+    if (this.state !== CIRCUIT_STATES.HALF_OPEN) {
+      return false;
+    }
+
+    if (this.halfOpenInFlight >= this.options.halfOpenMaxConcurrent) {
+      logger.logCircuitBreaker(requestId, this.name, 'blocked', {
+        state: this.state,
+        halfOpenInFlight: this.halfOpenInFlight
+      });
+      throw ErrorHandler.handleCircuitBreakerError(this.serviceName, this.state);
+    }
+
+    this.halfOpenInFlight++;
+    return true;
+  }
+
+  async execute(requestFn, requestId) {
+    const trial = this.acquire(requestId);
+    const startTime = Date.now();
+
+    try {
+      const result = await requestFn();
+      // Upstream 5xx answers are returned to the caller but still count against the service
+      const failed = result?.status >= 500;
+      this.onResult(requestId, {
+        failure: failed,
+        duration: Date.now() - startTime,
+        error: failed ? `Upstream responded with ${result.status}` : null
+      }, trial);
+      return result;
+    } catch (error) {
+      this.onResult(requestId, { failure: true, duration: Date.now() - startTime, error: error.message }, trial);
+      throw error;
+    } finally {
+      if (trial) {
+        this.halfOpenInFlight--;
+      }
+    }
+  }
+
+  onResult(requestId, { failure, duration, error }, trial) {
+    const slow = duration >= this.options.slowCallDuration;
+
+    if (failure) {
+      this.failureCount++;
+      this.lastFailureTime = Date.now();
+      metrics.recordCircuitBreaker(this.name, 'failure', this.state);
+      logger.logCircuitBreaker(requestId, this.name, 'failure', {
+        state: this.state,
+        failureCount: this.failureCount,
+        error
+      });
+    } else {
+      this.failureCount = 0;
+      metrics.recordCircuitBreaker(this.name, 'success', this.state);
+    }
+
+    if (trial) {
+      this.onTrialResult(requestId, failure);
+      return;
+    }
+
+    // Calls that started before the breaker opened do not count towards the next window
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+
+    this.window.record({ failure, slow });
+    const reason = this.getTripReason(this.window.getStats());
+    if (reason) {
+      this.open(requestId, reason);
+    } else if (this.store) {
+      this.recordShared(requestId, { failure, slow });
+    }
+  }
+
+  // Runs off the request path: the shared window can only trip the breaker for later calls
+  async recordShared(requestId, outcome) {
+    const stats = await this.store.recordOutcome(this, outcome);
+    if (!stats) {
+      return;
+    }
+
+    this.sharedStats = stats;
+    const reason = this.state === CIRCUIT_STATES.CLOSED && this.getTripReason(stats);
+    if (reason) {
+      this.open(requestId, { ...reason, scope: 'shared' });
+    }
+  }
+
+  onTrialResult(requestId, failure) {
+    if (this.state !== CIRCUIT_STATES.HALF_OPEN) {
+      return;
+    }
+
+    if (failure) {
+      this.open(requestId, { reason: 'failure_in_half_open' });
+      return;
+    }
+
+    this.successCount++;
+    if (this.successCount >= this.options.halfOpenProbes) {
+      this.window.reset();
+      this.transition(requestId, CIRCUIT_STATES.CLOSED, {
+        previousState: CIRCUIT_STATES.HALF_OPEN,
+        successCount: this.successCount
+      });
+    } else {
+      logger.logCircuitBreaker(requestId, this.name, 'success', {
+        state: this.state,
+        successCount: this.successCount
+      });
+    }
+  }
+
+  getTripReason({ calls, failures, slowCalls }) {
+    const { failureThreshold, minimumCalls, failureRateThreshold, slowCallRateThreshold } = this.options;
+
+    // A run of consecutive failures still trips a service too quiet to reach minimumCalls
+    if (this.failureCount >= failureThreshold) {
+      return { reason: 'consecutive_failures', failureCount: this.failureCount, threshold: failureThreshold };
+    }
+    if (calls < minimumCalls) {
+      return null;
+    }
+
+    const failureRate = (failures / calls) * 100;
+    if (failureRate >= failureRateThreshold) {
+      return { reason: 'failure_rate', failureRate, threshold: failureRateThreshold, calls };
+    }
+
+    const slowCallRate = (slowCalls / calls) * 100;
+    if (slowCallRate >= slowCallRateThreshold) {
+      return { reason: 'slow_call_rate', slowCallRate, threshold: slowCallRateThreshold, calls };
+    }
+    return null;
+  }
+
+  open(requestId, details) {
+    this.nextAttempt = Date.now() + this.options.recoveryTimeout;
+    this.transition(requestId, CIRCUIT_STATES.OPEN, {
+      ...details,
+      nextAttempt: new Date(this.nextAttempt).toISOString()
+    });
+  }
+
+  transition(requestId, state, details = {}, { publish = true } = {}) {
+    this.state = state;
+    this.successCount = 0;
+
+    const event = state === CIRCUIT_STATES.OPEN ? 'opened' : state;
+    metrics.recordCircuitBreaker(this.name, event, state);
+    logger.logCircuitBreaker(requestId, this.name, event, details);
+
+    // Half-open stays local: each instance sends its own trial requests once the breaker may retry
+    if (publish && this.store && state !== CIRCUIT_STATES.HALF_OPEN) {
+      this.store.publishTransition(this);
+    }
+  }
+
+  // Follows a transition made by another gateway instance
+  applyRemoteState({ state, nextAttempt, instanceId }) {
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.nextAttempt = Math.max(this.nextAttempt || 0, nextAttempt);
+      if (this.state === CIRCUIT_STATES.OPEN) {
+        return;
+      }
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      if (this.state === CIRCUIT_STATES.CLOSED) {
+        return;
+      }
+      this.failureCount = 0;
+      this.window.reset();
+    } else {
+      return;
+    }
+
+    this.transition(null, state, { source: instanceId }, { publish: false });
+  }
+
+  // Opens the breaker on outside evidence, such as a failed health check, without waiting for traffic
+  forceOpen(requestId, details) {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      this.open(requestId, details);
+    }
+  }
+
+  // Lets the next call through as a half-open trial instead of waiting out recoveryTimeout
+  allowTrial() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      this.nextAttempt = Date.now();
+    }
+  }
+
+  isAvailable() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return Date.now() >= this.nextAttempt;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      return this.halfOpenInFlight < this.options.halfOpenMaxConcurrent;
+    }
+    return true;
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+    const next = { ...this.options, ...Object.fromEntries(defined) };
+    const windowChanged = !this.window ||
+      ['windowType', 'windowSize', 'windowMs'].some(key => next[key] !== this.options[key]);
+
+    this.options = next;
+    if (windowChanged) {
+      this.window = createWindow(next);
+    }
+  }
+
+  getState() {
+    const { calls, failures, slowCalls } = this.window.getStats();
+
+    return {
+      state: this.state,
+      serviceName: this.serviceName,
+      failureCount: this.failureCount,
+      lastFailureTime: this.lastFailureTime,
+      nextAttempt: this.nextAttempt,
+      successCount: this.successCount,
+      halfOpenInFlight: this.halfOpenInFlight,
+      sharedWindow: this.sharedStats,
+      window: {
+        type: this.options.windowType,
+        calls,
+        failures,
+        slowCalls,
+        failureRate: calls ? Math.round((failures / calls) * 1000) / 10 : 0,
+        slowCallRate: calls ? Math.round((slowCalls / calls) * 1000) / 10 : 0
+      }
+    };
+  }
+
+  reset() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(null, CIRCUIT_STATES.CLOSED, { previousState: this.state, reason: 'reset' }, { publish: false });
+    }
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this.nextAttempt = null;
+    this.successCount = 0;
+    this.sharedStats = null;
+    this.window.reset();
+  }
+}
+
+CircuitBreaker.STATES = CIRCUIT_STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,231 @@
+const os = require('os');
+const config = require('../config');
+const logger = require('../layers/logging');
+const CircuitBreaker = require('./circuitBreaker');
+
+const BUCKET_MS = 1000;
+
+// Keeps circuit breaker state and failure windows in Redis so every gateway instance
+// judges a service on the same calls, and broadcasts transitions over pub/sub.
+// Every method degrades to a no-op while Redis is unavailable; breakers then run on local state.
+class CircuitBreakerStore {
+  constructor(options = {}) {
+    this.redisLayer = options.redisLayer || null;
+    this.keyPrefix = options.keyPrefix || config.circuitBreakerStore.keyPrefix;
+    this.channel = `${this.keyPrefix}:events`;
+    this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}`;
+    this.subscriber = null;
+    this.subscribing = null;
+    this.onEvent = null;
+    this.errors = 0;
+  }
+
+  // Subscribes now if Redis is up, and again whenever the shared client becomes ready, so an
+  // instance that started without Redis joins the others once it is reachable
+  async initialize(onEvent) {
+    this.onEvent = onEvent;
+    this.redisLayer?.redisClient?.on('ready', () => {
+      this.subscribe().catch((error) => {
+        logger.logSystem('warn', 'Could not subscribe to circuit breaker events', { error: error.message });
+      });
+    });
+
+    await this.subscribe();
+  }
+
+  // The subscriber connection reconnects and resubscribes by itself once it exists
+  subscribe() {
+    if (!this.subscribing) {
+      this.subscribing = this.connectSubscriber().finally(() => {
+        this.subscribing = null;
+      });
+    }
+    return this.subscribing;
+  }
+
+  async connectSubscriber() {
+    if (this.subscriber) {
+      return;
+    }
+
+    const client = this.getClient();
+    if (!client) {
+      throw new Error('Redis not connected');
+    }
+
+    // A connection in subscriber mode cannot run other commands, so events get their own
+    const subscriber = client.duplicate();
+    subscriber.on('error', (error) => {
+      logger.logSystem('warn', 'Circuit breaker subscriber error', { error: error.message });
+    });
+
+    try {
+      await subscriber.connect();
+      await subscriber.subscribe(this.channel, (message) => {
+        try {
+          const event = JSON.parse(message);
+          if (event.instanceId !== this.instanceId) {
+            this.onEvent(event);
+          }
+        } catch (error) {
+          logger.logSystem('warn', 'Ignoring malformed circuit breaker event', { error: error.message });
+        }
+      });
+    } catch (error) {
+      subscriber.destroy();
+      throw error;
+    }
+
+    this.subscriber = subscriber;
+    logger.logSystem('info', 'Circuit breaker state shared via Redis', { instanceId: this.instanceId });
+  }
+
+  getClient() {
+    return this.redisLayer && this.redisLayer.isConnected ? this.redisLayer.redisClient : null;
+  }
+
+  isAvailable() {
+    return this.getClient() !== null && this.subscriber !== null;
+  }
+
+  stateKey(name) {
+    return `${this.keyPrefix}:${name}:state`;
+  }
+
+  windowKey(name) {
+    return `${this.keyPrefix}:${name}:window`;
+  }
+
+  async run(operation, fallback = null) {
+    if (!this.isAvailable()) {
+      return fallback;
+    }
+
+    try {
+      return await operation(this.getClient());
+    } catch (error) {
+      this.errors++;
+      logger.logSystem('warn', 'Circuit breaker store unavailable, using local state', { error: error.message });
+      return fallback;
+    }
+  }
+
+  // Adds one call outcome to the breaker's shared window and returns the window's totals
+  recordOutcome(breaker, { failure, slow }) {
+    const { windowType, windowSize, windowMs } = breaker.options;
+    const key = this.windowKey(breaker.name);
+
+    return this.run(async (client) => {
+      if (windowType === 'time') {
+        const bucket = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+        const transaction = client.multi()
+          .hIncrBy(key, `${bucket}:calls`, 1)
+          .hIncrBy(key, `${bucket}:failures`, failure ? 1 : 0)
+          .hIncrBy(key, `${bucket}:slowCalls`, slow ? 1 : 0)
+          .pExpire(key, windowMs * 2)
+          .hGetAll(key);
+        const results = await transaction.exec();
+        return this.sumBuckets(client, key, results[results.length - 1], windowMs);
+      }
+
+      const results = await client.multi()
+        .lPush(key, `${failure ? 1 : 0}${slow ? 1 : 0}`)
+        .lTrim(key, 0, windowSize - 1)
+        .lRange(key, 0, -1)
+        .exec();
+
+      return results[2].reduce((stats, outcome) => ({
+        calls: stats.calls + 1,
+        failures: stats.failures + Number(outcome[0]),
+        slowCalls: stats.slowCalls + Number(outcome[1])
+      }), { calls: 0, failures: 0, slowCalls: 0 });
+    });
+  }
+
+  sumBuckets(client, key, fields, windowMs) {
+    const oldest = Date.now() - windowMs;
+    const stats = { calls: 0, failures: 0, slowCalls: 0 };
+    const expired = [];
+
+    Object.entries(fields || {}).forEach(([field, value]) => {
+      const [bucket, name] = field.split(':');
+      if (Number(bucket) <= oldest) {
+        expired.push(field);
+      } else {
+        stats[name] += Number(value);
+      }
+    });
+
+    if (expired.length > 0) {
+      client.hDel(key, expired).catch(() => {});
+    }
+    return stats;
+  }
+
+  // Stores an open breaker so instances that start later pick it up, and tells the others
+  publishTransition(breaker) {
+    const event = {
+      type: 'transition',
+      name: breaker.name,
+      serviceName: breaker.serviceName,
+      state: breaker.state,
+      nextAttempt: breaker.nextAttempt,
+      instanceId: this.instanceId
+    };
+
+    return this.run(async (client) => {
+      const transaction = client.multi();
+      if (breaker.state === CircuitBreaker.STATES.OPEN) {
+        transaction.set(this.stateKey(breaker.name), JSON.stringify(event), {
+          PX: Math.max(breaker.nextAttempt - Date.now(), 1)
+        });
+      } else {
+        transaction.del([this.stateKey(breaker.name), this.windowKey(breaker.name)]);
+      }
+      transaction.publish(this.channel, JSON.stringify(event));
+      await transaction.exec();
+    });
+  }
+
+  loadState(name) {
+    return this.run(async (client) => {
+      const stored = await client.get(this.stateKey(name));
+      return stored ? JSON.parse(stored) : null;
+    });
+  }
+
+  clear(names) {
+    const keys = names.flatMap(name => [this.stateKey(name), this.windowKey(name)]);
+    if (keys.length === 0) {
+      return Promise.resolve(null);
+    }
+    return this.run(client => client.del(keys));
+  }
+
+  publishReset(serviceName) {
+    const event = { type: 'reset', serviceName, instanceId: this.instanceId };
+    return this.run(async (client) => {
+      await client.publish(this.channel, JSON.stringify(event));
+      return true;
+    }, false);
+  }
+
+  getStatus() {
+    return {
+      backend: 'redis',
+      available: this.isAvailable(),
+      instanceId: this.instanceId,
+      errors: this.errors
+    };
+  }
+
+  async close() {
+    if (this.subscriber) {
+      const subscriber = this.subscriber;
+      this.subscriber = null;
+      await subscriber.disconnect();
+    }
+  }
+}
+
+module.exports = CircuitBreakerStore;
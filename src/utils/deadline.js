@@ -0,0 +1,27 @@
+// gRPC timeout units (https://github.com/grpc/grpc/blob/master/doc/PROTOCOL-HTTP2.md)
+const UNIT_MS = {
+  H: 3600000,
+  M: 60000,
+  S: 1000,
+  m: 1,
+  u: 0.001,
+  n: 0.000001
+};
+
+// Reads "2500" (milliseconds) or a grpc-timeout style "2500m" / "3S" into milliseconds.
+// Returns null for missing or malformed values.
+function parseTimeout(value) {
+  const match = /^\s*(\d{1,9})([HMSmun]?)\s*$/.exec(String(value ?? ''));
+  if (!match) {
+    return null;
+  }
+
+  const ms = Math.ceil(parseInt(match[1], 10) * UNIT_MS[match[2] || 'm']);
+  return ms > 0 ? ms : null;
+}
+
+function formatGrpcTimeout(ms) {
+  return `${Math.max(Math.floor(ms), 1)}m`;
+}
+
+module.exports = { parseTimeout, formatGrpcTimeout };
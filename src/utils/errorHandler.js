@@ -119,6 +119,57 @@ class ErrorHandler {
     );
   }
 
+  static handleBulkheadError(serviceName, reason, limits) {
+    return new GatewayError(
+      `Too many concurrent requests to ${serviceName}`,
+      503,
+      'BULKHEAD_FULL',
+      {
+        service: serviceName,
+        reason,
+        ...limits
+      }
+    );
+  }
+
+  static handleDeadlineError(serviceName, deadline) {
+    return new GatewayError(
+      'Request deadline exceeded',
+      504,
+      'DEADLINE_EXCEEDED',
+      {
+        service: serviceName,
+        deadline: new Date(deadline).toISOString()
+      }
+    );
+  }
+
+  static handleAggregationError(callName, failure) {
+    return new GatewayError(
+      `Required call ${callName} failed`,
+      failure.statusCode,
+      'AGGREGATION_FAILED',
+      {
+        call: callName,
+        error: failure.error,
+        message: failure.message
+      }
+    );
+  }
+
+  static handleMethodNotAllowedError(method, path, allowedMethods) {
+    return new GatewayError(
+      `Method ${method} not allowed for ${path}`,
+      405,
+      'METHOD_NOT_ALLOWED',
+      {
+        method,
+        path,
+        allowedMethods
+      }
+    );
+  }
+
   static handleValidationError(errors) {
     return new GatewayError(
       'Request validation failed',
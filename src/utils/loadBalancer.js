@@ -0,0 +1,168 @@
+const STRATEGIES = {
+  ROUND_ROBIN: 'round-robin',
+  WEIGHTED: 'weighted',
+  LEAST_OUTSTANDING: 'least-outstanding',
+  CONSISTENT_HASH: 'consistent-hash'
+};
+
+const VIRTUAL_NODES_PER_WEIGHT = 50;
+
+// 32-bit FNV-1a, good enough to spread keys around the hash ring
+function hashKey(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class LoadBalancer {
+  constructor(targets, options = {}) {
+    this.targets = targets;
+    this.strategy = options.strategy || STRATEGIES.ROUND_ROBIN;
+    this.hashOn = options.hashOn || 'user';
+    this.hashHeader = (options.hashHeader || 'x-session-id').toLowerCase();
+
+    this.counter = 0;
+    this.currentWeights = new Map(targets.map(target => [target.url, 0]));
+    this.outstanding = new Map(targets.map(target => [target.url, 0]));
+    this.ring = this.strategy === STRATEGIES.CONSISTENT_HASH ? this.buildRing() : [];
+  }
+
+  buildRing() {
+    const ring = [];
+
+    this.targets.forEach(target => {
+      const nodes = VIRTUAL_NODES_PER_WEIGHT * target.weight;
+      for (let i = 0; i < nodes; i++) {
+        ring.push({ hash: hashKey(`${target.url}#${i}`), target });
+      }
+    });
+
+    return ring.sort((a, b) => a.hash - b.hash);
+  }
+
+  select(req, candidates) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    switch (this.strategy) {
+      case STRATEGIES.WEIGHTED:
+        return this.selectWeighted(candidates);
+      case STRATEGIES.LEAST_OUTSTANDING:
+        return this.selectLeastOutstanding(candidates);
+      case STRATEGIES.CONSISTENT_HASH:
+        return this.selectConsistentHash(req, candidates);
+      default:
+        return this.selectRoundRobin(candidates);
+    }
+  }
+
+  selectRoundRobin(candidates) {
+    const target = candidates[this.counter % candidates.length];
+    this.counter = (this.counter + 1) % Number.MAX_SAFE_INTEGER;
+    return target;
+  }
+
+  // Smooth weighted round-robin (as used by nginx): avoids bursts to the heaviest target
+  selectWeighted(candidates) {
+    const totalWeight = candidates.reduce((sum, target) => sum + target.weight, 0);
+    let selected = null;
+
+    candidates.forEach(target => {
+      const current = this.currentWeights.get(target.url) + target.weight;
+      this.currentWeights.set(target.url, current);
+
+      if (!selected || current > this.currentWeights.get(selected.url)) {
+        selected = target;
+      }
+    });
+
+    this.currentWeights.set(selected.url, this.currentWeights.get(selected.url) - totalWeight);
+    return selected;
+  }
+
+  selectLeastOutstanding(candidates) {
+    const offset = this.counter++ % candidates.length;
+    let selected = null;
+
+    // Start from a rotating offset so ties are spread instead of always hitting the first target
+    for (let i = 0; i < candidates.length; i++) {
+      const target = candidates[(offset + i) % candidates.length];
+      if (!selected || this.outstanding.get(target.url) < this.outstanding.get(selected.url)) {
+        selected = target;
+      }
+    }
+
+    return selected;
+  }
+
+  getHashKey(req) {
+    if (this.hashOn === 'header') {
+      const value = req.headers[this.hashHeader];
+      if (value) {
+        return String(value);
+      }
+    } else if (this.hashOn === 'user' && req.context.user?.id) {
+      return String(req.context.user.id);
+    }
+
+    return req.context.clientIp || '';
+  }
+
+  selectConsistentHash(req, candidates) {
+    const allowed = new Set(candidates.map(target => target.url));
+    const hash = hashKey(this.getHashKey(req));
+
+    let low = 0;
+    let high = this.ring.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.ring[mid].hash < hash) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Walk clockwise until we land on a target that is still a candidate
+    for (let i = 0; i < this.ring.length; i++) {
+      const node = this.ring[(low + i) % this.ring.length];
+      if (allowed.has(node.target.url)) {
+        return node.target;
+      }
+    }
+
+    return candidates[0];
+  }
+
+  acquire(target) {
+    this.outstanding.set(target.url, (this.outstanding.get(target.url) || 0) + 1);
+  }
+
+  release(target) {
+    this.outstanding.set(target.url, Math.max(0, (this.outstanding.get(target.url) || 0) - 1));
+  }
+
+  getState() {
+    return {
+      strategy: this.strategy,
+      targets: this.targets.map(target => ({
+        url: target.url,
+        weight: target.weight,
+        outstanding: this.outstanding.get(target.url) || 0
+      }))
+    };
+  }
+}
+
+LoadBalancer.STRATEGIES = STRATEGIES;
+LoadBalancer.hashKey = hashKey;
+
+module.exports = LoadBalancer;
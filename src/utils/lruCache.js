@@ -0,0 +1,75 @@
+// In-memory LRU keyed by string. A Map keeps insertion order, so re-inserting on every
+// read leaves the least recently used entry first in line for eviction.
+class LruCache {
+  constructor({ maxEntries = 1000, maxBytes = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  sizeOf(value) {
+    return value && Buffer.isBuffer(value.body) ? value.body.length : 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return null;
+    }
+
+    if (item.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.remove(key);
+
+    const size = this.sizeOf(value);
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  remove(key) {
+    const item = this.entries.get(key);
+    if (item) {
+      this.bytes -= item.size;
+      this.entries.delete(key);
+    }
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async deletePrefix(prefix) {
+    const keys = [...this.entries.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.remove(key));
+    return keys.length;
+  }
+
+  getStats() {
+    return {
+      backend: 'memory',
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = LruCache;
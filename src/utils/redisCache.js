@@ -0,0 +1,75 @@
+const SCAN_COUNT = 500;
+
+// Redis glob patterns treat these characters specially
+function escapeGlob(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// Redis backend with the same interface as LruCache. Bodies are stored base64 encoded,
+// and Redis expiry and its own eviction policy take the place of the LRU limits.
+class RedisCache {
+  constructor({ redisLayer, keyPrefix }) {
+    this.redisLayer = redisLayer;
+    this.keyPrefix = keyPrefix;
+  }
+
+  isAvailable() {
+    return Boolean(this.redisLayer && this.redisLayer.isConnected);
+  }
+
+  redisKey(key) {
+    return `${this.keyPrefix}:${key}`;
+  }
+
+  async get(key) {
+    const stored = await this.redisLayer.redisClient.get(this.redisKey(key));
+    if (!stored) {
+      return null;
+    }
+
+    const value = JSON.parse(stored);
+    if (value.body !== undefined) {
+      value.body = Buffer.from(value.body, 'base64');
+    }
+    return value;
+  }
+
+  async set(key, value, ttlMs) {
+    const stored = value.body !== undefined
+      ? { ...value, body: value.body.toString('base64') }
+      : value;
+
+    await this.redisLayer.redisClient.set(this.redisKey(key), JSON.stringify(stored), {
+      PX: Math.max(Math.ceil(ttlMs), 1)
+    });
+  }
+
+  async delete(key) {
+    await this.redisLayer.redisClient.del(this.redisKey(key));
+  }
+
+  // SCAN walks the keyspace a batch at a time, where KEYS would block the shared Redis
+  // (rate limits, breaker state) until it had looked at every key
+  async deletePrefix(prefix) {
+    const client = this.redisLayer.redisClient;
+    const pattern = `${escapeGlob(this.redisKey(prefix))}*`;
+    let deleted = 0;
+
+    for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) {
+      if (keys.length > 0) {
+        deleted += await client.del(keys);
+      }
+    }
+    return deleted;
+  }
+
+  getStats() {
+    return {
+      backend: 'redis',
+      available: this.isAvailable(),
+      keyPrefix: this.keyPrefix
+    };
+  }
+}
+
+module.exports = RedisCache;
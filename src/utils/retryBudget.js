@@ -0,0 +1,58 @@
+const BUCKET_MS = 1000;
+
+// Counts requests and retries for one service over a sliding window of one-second
+// buckets. Retries are allowed while they stay under `ratio` of recent requests, with a
+// small per-second floor so low-traffic services can still retry at all.
+class RetryBudget {
+  constructor(windowMs = 10000) {
+    this.bucketCount = Math.max(1, Math.ceil(windowMs / BUCKET_MS));
+    this.buckets = Array.from({ length: this.bucketCount }, () => ({ start: 0, requests: 0, retries: 0 }));
+    this.rejected = 0;
+  }
+
+  currentBucket() {
+    const start = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+    const bucket = this.buckets[(start / BUCKET_MS) % this.bucketCount];
+
+    if (bucket.start !== start) {
+      bucket.start = start;
+      bucket.requests = 0;
+      bucket.retries = 0;
+    }
+    return bucket;
+  }
+
+  totals() {
+    const oldest = Date.now() - this.bucketCount * BUCKET_MS;
+
+    return this.buckets
+      .filter(bucket => bucket.start > oldest)
+      .reduce((sum, bucket) => ({
+        requests: sum.requests + bucket.requests,
+        retries: sum.retries + bucket.retries
+      }), { requests: 0, retries: 0 });
+  }
+
+  recordRequest() {
+    this.currentBucket().requests++;
+  }
+
+  tryAcquire({ ratio, minRetriesPerSecond }) {
+    const { requests, retries } = this.totals();
+    const allowed = Math.max(requests * ratio, minRetriesPerSecond * this.bucketCount);
+
+    if (retries >= allowed) {
+      this.rejected++;
+      return false;
+    }
+
+    this.currentBucket().retries++;
+    return true;
+  }
+
+  getState() {
+    return { ...this.totals(), rejected: this.rejected };
+  }
+}
+
+module.exports = RetryBudget;
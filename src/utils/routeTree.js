@@ -0,0 +1,201 @@
+const PARAM_SEGMENT = /^:([A-Za-z_$][\w$]*)$/;
+const WILDCARD_SEGMENT = /^\*([A-Za-z_$][\w$]*)$/;
+const SPECIAL_CHARACTERS = /[:*{}()[\]?+!\\]/;
+
+function createNode() {
+  return {
+    staticChildren: new Map(),
+    paramChild: null,
+    wildcardRoutes: [],
+    routes: []
+  };
+}
+
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+// More match conditions means a more specific route; ties keep config order
+function bySpecificity(a, b) {
+  return b.entry.conditionCount - a.entry.conditionCount || a.order - b.order;
+}
+
+// Ranks matches from the tree and from compiled fallback patterns on one scale: the route
+// that consumed more path segments wins, then the one that needed fewer params to do it
+function byMatchSpecificity(a, b) {
+  return b.depth - a.depth || a.paramCount - b.paramCount || bySpecificity(a.record, b.record);
+}
+
+class RouteTree {
+  constructor() {
+    this.root = createNode();
+    this.fallbackRoutes = [];
+    this.size = 0;
+  }
+
+  parsePattern(path) {
+    const segments = splitPath(path);
+    const parsed = [];
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const param = PARAM_SEGMENT.exec(segment);
+      const wildcard = WILDCARD_SEGMENT.exec(segment);
+
+      if (param) {
+        parsed.push({ type: 'param', name: param[1] });
+      } else if (wildcard && i === segments.length - 1) {
+        parsed.push({ type: 'wildcard', name: wildcard[1] });
+      } else if (SPECIAL_CHARACTERS.test(segment)) {
+        // Optional groups and mixed segments are left to the route's compiled regexp
+        return null;
+      } else {
+        parsed.push({ type: 'static', value: segment.toLowerCase() });
+      }
+    }
+
+    return parsed;
+  }
+
+  insert(route, conditionCount = 0) {
+    const entry = { route, conditionCount, paramNames: [] };
+    const record = { entry, order: this.size++ };
+    const segments = this.parsePattern(route.path);
+
+    if (!segments) {
+      this.fallbackRoutes.push(record);
+      this.fallbackRoutes.sort(bySpecificity);
+      return;
+    }
+
+    let node = this.root;
+    for (const segment of segments) {
+      if (segment.type === 'static') {
+        if (!node.staticChildren.has(segment.value)) {
+          node.staticChildren.set(segment.value, createNode());
+        }
+        node = node.staticChildren.get(segment.value);
+      } else if (segment.type === 'param') {
+        entry.paramNames.push(segment.name);
+        node.paramChild = node.paramChild || createNode();
+        node = node.paramChild;
+      } else {
+        entry.paramNames.push(segment.name);
+        node.wildcardRoutes.push(record);
+        node.wildcardRoutes.sort(bySpecificity);
+        return;
+      }
+    }
+
+    node.routes.push(record);
+    node.routes.sort(bySpecificity);
+  }
+
+  createMatch(record, values, depth) {
+    return {
+      route: record.entry.route,
+      params: this.buildParams(record.entry, values),
+      record,
+      depth,
+      paramCount: values.length
+    };
+  }
+
+  buildParams(entry, values) {
+    const params = {};
+    entry.paramNames.forEach((name, index) => {
+      params[name] = values[index];
+    });
+    return params;
+  }
+
+  // Depth-first: static segments beat params, params beat wildcards, and a deeper
+  // match beats a shorter prefix match at the same branch
+  matchNode(node, segments, index, values, accept) {
+    if (index < segments.length) {
+      const staticChild = node.staticChildren.get(segments[index].toLowerCase());
+      if (staticChild) {
+        const result = this.matchNode(staticChild, segments, index + 1, values, accept);
+        if (result) {
+          return result;
+        }
+      }
+
+      if (node.paramChild) {
+        values.push(decodeSegment(segments[index]));
+        const result = this.matchNode(node.paramChild, segments, index + 1, values, accept);
+        if (result) {
+          return result;
+        }
+        values.pop();
+      }
+
+      // A wildcard only counts the segments before it, so it never outranks a concrete match
+      for (const record of node.wildcardRoutes) {
+        if (accept(record.entry.route)) {
+          const rest = segments.slice(index).map(decodeSegment).join('/');
+          return this.createMatch(record, [...values, rest], index);
+        }
+      }
+    }
+
+    // Routes match as prefixes, so a route ending here also covers deeper paths
+    for (const record of node.routes) {
+      if (accept(record.entry.route)) {
+        return this.createMatch(record, values, index);
+      }
+    }
+
+    return null;
+  }
+
+  matchFallbacks(path, accept) {
+    const matches = [];
+
+    for (const record of this.fallbackRoutes) {
+      const { route } = record.entry;
+      const match = route.regexp.exec(path);
+
+      if (match && accept(route)) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          if (match[index + 1] !== undefined) {
+            params[key.name] = decodeSegment(match[index + 1]);
+          }
+        });
+        matches.push({
+          route,
+          params,
+          record,
+          depth: splitPath(match[0]).length,
+          paramCount: Object.keys(params).length
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  // Complex patterns are matched by regexp outside the tree, so both sides compete on specificity
+  lookup(path, accept = () => true) {
+    let best = this.matchNode(this.root, splitPath(path), 0, [], accept);
+
+    for (const match of this.matchFallbacks(path, accept)) {
+      if (!best || byMatchSpecificity(match, best) < 0) {
+        best = match;
+      }
+    }
+
+    return best ? { route: best.route, params: best.params } : null;
+  }
+}
+
+module.exports = RouteTree;
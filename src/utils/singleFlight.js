@@ -0,0 +1,22 @@
+// Runs at most one call per key at a time. Callers arriving while a call is in flight
+// wait for it instead of starting their own, and all of them settle with its outcome.
+class SingleFlight {
+  constructor() {
+    this.calls = new Map();
+  }
+
+  run(key, fn) {
+    if (this.calls.has(key)) {
+      return { promise: this.calls.get(key), shared: true };
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.calls.delete(key));
+    this.calls.set(key, promise);
+
+    return { promise, shared: false };
+  }
+}
+
+module.exports = SingleFlight;
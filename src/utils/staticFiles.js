@@ -0,0 +1,20 @@
+const path = require('path');
+const config = require('../config');
+
+function getStaticRoot() {
+  return path.resolve(config.staticFiles.root);
+}
+
+function isInside(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Resolves a static route's `file` against the static root. Returns null for paths
+// that escape it, such as "../secrets" or "/etc/passwd".
+function resolveStaticFile(file, root = getStaticRoot()) {
+  const filePath = path.resolve(root, file);
+  return isInside(root, filePath) ? filePath : null;
+}
+
+module.exports = { getStaticRoot, isInside, resolveStaticFile };
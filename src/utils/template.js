@@ -0,0 +1,58 @@
+// Expands $1 / $<name> from a regex match and :name from path params (URL-encoded)
+function expandPathTemplate(template, match, params) {
+  return template.replace(/\$(\d+)|\$<(\w+)>|:([A-Za-z_$][\w$]*)/g, (token, index, group, param) => {
+    if (index !== undefined) {
+      return match?.[index] ?? '';
+    }
+    if (group !== undefined) {
+      return match?.groups?.[group] ?? '';
+    }
+
+    const value = params[param];
+    if (value === undefined) {
+      return '';
+    }
+    return String(value).split('/').map(encodeURIComponent).join('/');
+  });
+}
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+function lookupVariable(variables, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+// Replaces {{params.id}}-style placeholders in strings, arrays and nested objects.
+// `format` turns each resolved value into the text that is inserted.
+function renderTemplate(value, variables, format = String) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (token, path) => {
+      const resolved = lookupVariable(variables, path);
+      return resolved == null ? '' : format(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, variables, format));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderTemplate(item, variables, format)])
+    );
+  }
+
+  return value;
+}
+
+module.exports = { expandPathTemplate, renderTemplate, escapeHtml };
@@ -0,0 +1,57 @@
+const { randomUUID } = require('crypto');
+const { hashKey } = require('./loadBalancer');
+const { parseCookies } = require('./cookies');
+
+const DEFAULT_STICKY_COOKIE = 'gw_sid';
+const DEFAULT_OVERRIDE_HEADER = 'x-route-version';
+const BUCKETS = 10000;
+
+class TrafficSplitter {
+  static getStickyKey(req, res, cookieName) {
+    if (req.context.user?.id) {
+      return `user:${req.context.user.id}`;
+    }
+
+    const cookies = parseCookies(req.headers.cookie);
+    if (cookies[cookieName]) {
+      return `cookie:${cookies[cookieName]}`;
+    }
+
+    // First visit without a user: hand out a cookie so the next request lands on the same split
+    const sessionId = randomUUID();
+    res.append('Set-Cookie', `${cookieName}=${sessionId}; Path=/; HttpOnly; SameSite=Lax`);
+    return `cookie:${sessionId}`;
+  }
+
+  static selectSplit(req, res, route) {
+    const options = route.splitOptions || {};
+    const overrideHeader = (options.overrideHeader || DEFAULT_OVERRIDE_HEADER).toLowerCase();
+
+    const forcedName = req.headers[overrideHeader];
+    if (forcedName) {
+      const forced = route.splits.find(split => split.name === forcedName);
+      if (forced) {
+        return { split: forced, forced: true };
+      }
+    }
+
+    const stickyKey = this.getStickyKey(req, res, options.stickyCookie || DEFAULT_STICKY_COOKIE);
+    const totalWeight = route.splits.reduce((sum, split) => sum + split.weight, 0);
+
+    // Buckets are assigned cumulatively in split order, so raising a canary's weight
+    // only moves new users onto it and keeps existing canary users where they are
+    const bucket = ((hashKey(`${route.id}:${stickyKey}`) % BUCKETS) / BUCKETS) * totalWeight;
+    let cumulative = 0;
+
+    for (const split of route.splits) {
+      cumulative += split.weight;
+      if (split.weight > 0 && bucket < cumulative) {
+        return { split, forced: false };
+      }
+    }
+
+    return { split: route.splits.filter(split => split.weight > 0).pop(), forced: false };
+  }
+}
+
+module.exports = TrafficSplitter;
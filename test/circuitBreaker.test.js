@@ -0,0 +1,138 @@
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+
+const succeed = () => Promise.resolve({ status: 200 });
+const fail = () => Promise.reject(new Error('upstream down'));
+
+// Moves the fake clock while the call is in flight, so the breaker measures it as slow
+const takes = (ms, result = { status: 200 }) => async () => {
+  jest.advanceTimersByTime(ms);
+  return result;
+};
+
+const run = (breaker, fn) => breaker.execute(fn, 'test-request').catch(error => error);
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('Should forget outcomes that slide out of a time window', async () => {
+    const breaker = new CircuitBreaker('orders', {
+      windowType: 'time',
+      windowMs: 10000,
+      minimumCalls: 4,
+      failureRateThreshold: 50,
+      failureThreshold: 100
+    });
+
+    await run(breaker, fail);
+    await run(breaker, fail);
+    jest.advanceTimersByTime(11000);
+
+    await run(breaker, succeed);
+    await run(breaker, succeed);
+    await run(breaker, succeed);
+    await run(breaker, fail);
+
+    expect(breaker.getState().state).toBe('closed');
+    expect(breaker.getState().window).toMatchObject({ calls: 4, failures: 1 });
+  });
+
+  test('Should open once failures in the window reach the failure rate', async () => {
+    const breaker = new CircuitBreaker('orders', {
+      windowType: 'time',
+      windowMs: 10000,
+      minimumCalls: 4,
+      failureRateThreshold: 50,
+      failureThreshold: 100
+    });
+
+    await run(breaker, fail);
+    jest.advanceTimersByTime(5000);
+    await run(breaker, succeed);
+    await run(breaker, fail);
+    expect(breaker.getState().state).toBe('closed');
+
+    await run(breaker, succeed);
+    expect(breaker.getState().state).toBe('open');
+  });
+
+  test('Should open on the slow-call rate even when every call succeeds', async () => {
+    const breaker = new CircuitBreaker('search', {
+      windowSize: 10,
+      minimumCalls: 4,
+      slowCallDuration: 500,
+      slowCallRateThreshold: 50
+    });
+
+    await run(breaker, takes(600));
+    await run(breaker, takes(10));
+    await run(breaker, takes(10));
+    expect(breaker.getState().state).toBe('closed');
+
+    await run(breaker, takes(700));
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.getState().window).toMatchObject({ calls: 4, failures: 0, slowCalls: 2 });
+  });
+
+  test('Should limit concurrent half-open trials and close after enough probes', async () => {
+    const breaker = new CircuitBreaker('payments', {
+      recoveryTimeout: 1000,
+      halfOpenMaxConcurrent: 1,
+      halfOpenProbes: 2
+    });
+    breaker.forceOpen('test-request', { reason: 'test' });
+    jest.advanceTimersByTime(1000);
+
+    let finishTrial;
+    const trial = run(breaker, () => new Promise((resolve) => {
+      finishTrial = resolve;
+    }));
+    expect(breaker.getState()).toMatchObject({ state: 'half-open', halfOpenInFlight: 1 });
+    expect(breaker.isAvailable()).toBe(false);
+
+    const blocked = await run(breaker, succeed);
+    expect(blocked.errorCode).toBe('CIRCUIT_BREAKER_OPEN');
+
+    finishTrial({ status: 200 });
+    await trial;
+    expect(breaker.getState()).toMatchObject({ state: 'half-open', successCount: 1, halfOpenInFlight: 0 });
+
+    await run(breaker, succeed);
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('Should reopen when a half-open trial fails', async () => {
+    const breaker = new CircuitBreaker('payments', { recoveryTimeout: 1000 });
+    breaker.forceOpen('test-request', { reason: 'test' });
+    jest.advanceTimersByTime(1000);
+
+    await run(breaker, fail);
+
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.getState().nextAttempt).toBe(Date.now() + 1000);
+  });
+
+  test('forceOpen should block calls without traffic and not extend an open breaker', async () => {
+    const breaker = new CircuitBreaker('inventory', { recoveryTimeout: 5000 });
+
+    breaker.forceOpen('test-request', { reason: 'health_check_failed' });
+    const openedUntil = breaker.getState().nextAttempt;
+    expect(openedUntil).toBe(Date.now() + 5000);
+
+    const blocked = await run(breaker, succeed);
+    expect(blocked.errorCode).toBe('CIRCUIT_BREAKER_OPEN');
+
+    jest.advanceTimersByTime(3000);
+    breaker.forceOpen('test-request', { reason: 'health_check_failed' });
+    expect(breaker.getState().nextAttempt).toBe(openedUntil);
+
+    jest.advanceTimersByTime(2000);
+    expect(breaker.isAvailable()).toBe(true);
+    await expect(breaker.execute(succeed, 'test-request')).resolves.toEqual({ status: 200 });
+  });
+});
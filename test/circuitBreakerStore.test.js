@@ -0,0 +1,59 @@
+const { EventEmitter } = require('events');
+const CircuitBreakerStore = require('../src/utils/circuitBreakerStore');
+
+// Just enough of a node-redis client for the store's subscriber handling
+function createFakeRedisLayer() {
+  const subscriber = Object.assign(new EventEmitter(), {
+    handlers: {},
+    connect: jest.fn(async () => {}),
+    subscribe: jest.fn(async (channel, handler) => {
+      subscriber.handlers[channel] = handler;
+    }),
+    destroy: jest.fn(),
+    disconnect: jest.fn(async () => {})
+  });
+  const redisClient = Object.assign(new EventEmitter(), {
+    duplicate: jest.fn(() => subscriber)
+  });
+
+  return { redisLayer: { isConnected: false, redisClient }, subscriber };
+}
+
+describe('CircuitBreakerStore', () => {
+  test('Should subscribe once Redis becomes ready after starting without it', async () => {
+    const { redisLayer, subscriber } = createFakeRedisLayer();
+    const store = new CircuitBreakerStore({ redisLayer, instanceId: 'gateway-a' });
+    const events = [];
+
+    await expect(store.initialize(event => events.push(event))).rejects.toThrow('Redis not connected');
+    expect(store.isAvailable()).toBe(false);
+
+    redisLayer.isConnected = true;
+    redisLayer.redisClient.emit('ready');
+    redisLayer.redisClient.emit('ready');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(store.isAvailable()).toBe(true);
+    expect(redisLayer.redisClient.duplicate).toHaveBeenCalledTimes(1);
+
+    const deliver = subscriber.handlers[store.channel];
+    deliver(JSON.stringify({ type: 'reset', serviceName: 'orders', instanceId: 'gateway-b' }));
+    deliver(JSON.stringify({ type: 'reset', serviceName: 'orders', instanceId: 'gateway-a' }));
+    expect(events).toEqual([{ type: 'reset', serviceName: 'orders', instanceId: 'gateway-b' }]);
+  });
+
+  test('Should drop a subscriber that failed to connect and retry on the next ready', async () => {
+    const { redisLayer, subscriber } = createFakeRedisLayer();
+    redisLayer.isConnected = true;
+    subscriber.connect.mockRejectedValueOnce(new Error('connection reset'));
+    const store = new CircuitBreakerStore({ redisLayer });
+
+    await expect(store.initialize(() => {})).rejects.toThrow('connection reset');
+    expect(subscriber.destroy).toHaveBeenCalled();
+    expect(store.isAvailable()).toBe(false);
+
+    redisLayer.redisClient.emit('ready');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(store.isAvailable()).toBe(true);
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/config/loader');
+
+describe('ConfigLoader', () => {
+  let directory;
+
+  const writeFile = (name, content) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('Should parse YAML and JSON files by extension', () => {
+    const yamlFile = writeFile('routes.yaml', [
+      'routes:',
+      '  - path: /api/orders',
+      '    target: http://orders:3004',
+      '    methods: [GET, POST]'
+    ].join('\n'));
+    const jsonFile = writeFile('routes.json', JSON.stringify({
+      routes: [{ path: '/api/orders', target: 'http://orders:3004', methods: ['GET', 'POST'] }]
+    }));
+
+    const fromYaml = new ConfigLoader(yamlFile).load();
+    const fromJson = new ConfigLoader(jsonFile).load();
+
+    expect(fromYaml).toEqual(fromJson);
+    expect(fromYaml.routes[0]).toMatchObject({ path: '/api/orders', methods: ['GET', 'POST'] });
+  });
+
+  test('Should reject an invalid file with every validation error', () => {
+    const file = writeFile('routes.yaml', [
+      'routes:',
+      '  - path: no-slash',
+      '    target: not-a-url',
+      '  - path: /api/(x',
+      '    target: http://orders:3004'
+    ].join('\n'));
+    const loader = new ConfigLoader(file);
+
+    let error;
+    try {
+      loader.load();
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.errorCode).toBe('INVALID_GATEWAY_CONFIG');
+    expect(error.details.errors).toEqual(expect.arrayContaining([
+      { path: 'routes.0.path', message: 'Route path must start with "/"' },
+      expect.objectContaining({ path: 'routes.0.target' }),
+      expect.objectContaining({ path: 'routes.1.path', message: expect.stringMatching(/not a valid pattern/) })
+    ]));
+    expect(loader.version).toBe(0);
+  });
+
+  test('Should reject routes that use an unknown rate limit tier', () => {
+    const file = writeFile('routes.yaml', [
+      'rateLimiting:',
+      '  tiers:',
+      '    bulk: { requests: 5, windowMs: 1000 }',
+      'routes:',
+      '  - path: /api/orders',
+      '    target: http://orders:3004',
+      '    rateLimitTier: bulk',
+      '  - path: /api/reports',
+      '    target: http://reports:3006',
+      '    rateLimitTier: platinum'
+    ].join('\n'));
+
+    expect(() => new ConfigLoader(file).load()).toThrow(expect.objectContaining({
+      details: expect.objectContaining({
+        errors: [{ path: 'routes.1.rateLimitTier', message: 'Unknown rate limit tier "platinum"' }]
+      })
+    }));
+  });
+
+  test('Should only count a config as loaded once it has been applied', () => {
+    const file = writeFile('routes.json', JSON.stringify({ routes: [{ path: '/api/orders', target: 'http://orders:3004' }] }));
+    const loader = new ConfigLoader(file);
+
+    expect(() => loader.load(() => {
+      throw new Error('cannot apply');
+    })).toThrow('cannot apply');
+    expect(loader.version).toBe(0);
+    expect(loader.lastGoodConfig).toBeNull();
+
+    loader.load(() => {});
+    expect(loader.version).toBe(1);
+  });
+
+  test('Should keep the last good config when a reload is invalid', async () => {
+    const file = writeFile('routes.json', JSON.stringify({ routes: [{ path: '/api/orders', target: 'http://orders:3004' }] }));
+    const loader = new ConfigLoader(file, { pollInterval: 20 });
+    const applied = [];
+    const apply = gatewayConfig => applied.push(gatewayConfig.routes.map(route => route.path));
+
+    loader.load(apply);
+    loader.watch(apply);
+
+    try {
+      fs.writeFileSync(file, JSON.stringify({ routes: [{ path: 'orders' }] }));
+      await waitFor(() => loader.lastError);
+
+      expect(loader.getStatus()).toMatchObject({ version: 1, lastError: { message: 'Gateway config file failed validation' } });
+      expect(loader.lastGoodConfig.routes[0].path).toBe('/api/orders');
+
+      fs.writeFileSync(file, JSON.stringify({ routes: [{ path: '/api/invoices', target: 'http://billing:3007' }] }));
+      await waitFor(() => loader.version === 2);
+
+      expect(loader.getStatus()).toMatchObject({ version: 2, lastError: null });
+      expect(applied).toEqual([['/api/orders'], ['/api/invoices']]);
+    } finally {
+      loader.close();
+    }
+  });
+});
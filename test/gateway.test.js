@@ -1,8 +1,54 @@
+process.env.ROUTE_STORE = 'none';
+process.env.REDIS_CONNECT_TIMEOUT_MS = '100';
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
 const request = require('supertest');
+const config = require('../src/config');
+const RouteStore = require('../src/config/routeStore');
+const logger = require('../src/layers/logging');
 const gateway = require('../src/index');
+const LoadBalancer = require('../src/utils/loadBalancer');
 
 describe('API Gateway', () => {
   let server;
+  const upstreams = [];
+
+  // Starts a throwaway upstream on an ephemeral port and counts the requests it receives
+  const startUpstream = async (handler) => {
+    const upstream = { hits: 0, requests: [], sockets: [] };
+    upstream.server = http.createServer((req, res) => {
+      upstream.hits++;
+      upstream.requests.push(req);
+      handler(req, res, upstream);
+    });
+    await new Promise(resolve => upstream.server.listen(0, '127.0.0.1', resolve));
+    upstream.url = `http://127.0.0.1:${upstream.server.address().port}`;
+    upstreams.push(upstream);
+    return upstream;
+  };
+
+  const tokenFor = userId => jwt.sign({ sub: userId }, config.jwt.secret, { expiresIn: '1h' });
+
+  const adminToken = jwt.sign({ sub: 'operator', roles: ['admin'] }, config.jwt.secret, { expiresIn: '1h' });
+
+  // Admin endpoints that change state need a token with the admin role
+  const asAdmin = (method, url) => request(server)[method](url).set('Authorization', `Bearer ${adminToken}`);
+
+  const respondWith = (status, body = {}, headers = {}) => (req, res) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 50 && !check(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
 
   beforeAll(async () => {
     // Start gateway without Redis for testing
@@ -13,9 +59,16 @@ describe('API Gateway', () => {
   });
 
   afterAll(async () => {
+    upstreams.forEach((upstream) => {
+      upstream.sockets.forEach(socket => socket.destroy());
+      upstream.server.closeAllConnections();
+    });
+    await Promise.all(upstreams.map(upstream => new Promise(resolve => upstream.server.close(resolve))));
     if (gateway.server) {
       gateway.server.close();
     }
+    gateway.healthProber.stop();
+    gateway.forwardingLayer.close();
     if (gateway.rateLimitLayer) {
       await gateway.rateLimitLayer.close();
     }
@@ -40,6 +93,17 @@ describe('API Gateway', () => {
       expect(response.body.version).toBe('1.0.0');
     });
 
+    test('GET /health should count the routes currently loaded', async () => {
+      gateway.routingLayer.addRoute({ path: '/api/health-counted', target: 'http://localhost:3005' });
+
+      try {
+        const response = await request(server).get('/health');
+        expect(response.body.configuration.routeCount).toBe(gateway.routingLayer.routes.length);
+      } finally {
+        gateway.routingLayer.removeRouteById('api-health-counted');
+      }
+    });
+
     test('GET /health/live should return alive status', async () => {
       const response = await request(server)
         .get('/health/live')
@@ -71,6 +135,226 @@ describe('API Gateway', () => {
     });
   });
 
+  describe('Route Administration', () => {
+    test('POST /admin/routes should register a route with a stable id', async () => {
+      const response = await asAdmin('post', '/admin/routes')
+        .send({ path: '/api/inventory', target: 'http://localhost:3005', methods: ['GET'] })
+        .expect(201);
+
+      expect(response.body.id).toBe('api-inventory');
+      expect(response.body.source).toBe('admin');
+    });
+
+    test('Admin changes should require a token with the admin role', async () => {
+      const unauthenticated = await request(server)
+        .post('/admin/routes')
+        .send({ path: '/api/intruder', target: 'http://localhost:3005' })
+        .expect(401);
+      const forbidden = await request(server)
+        .delete('/admin/cache')
+        .set('Authorization', `Bearer ${tokenFor('alice')}`)
+        .expect(403);
+
+      expect(unauthenticated.body.error).toBe('MISSING_TOKEN');
+      expect(forbidden.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(gateway.routingLayer.getRouteConfig('api-intruder')).toBeFalsy();
+    });
+
+    test('POST /admin/routes should reject invalid routes', async () => {
+      const response = await asAdmin('post', '/admin/routes')
+        .send({ path: 'no-slash', target: 'not-a-url' })
+        .expect(400);
+
+      expect(response.body.error).toBe('INVALID_ROUTE_CONFIG');
+      expect(response.body.details.errors.length).toBe(2);
+    });
+
+    test('POST /admin/routes should reject unknown rate limit tiers', async () => {
+      const response = await asAdmin('post', '/admin/routes')
+        .send({ path: '/api/reports', target: 'http://localhost:3006', rateLimitTier: 'platinum' })
+        .expect(400);
+
+      expect(response.body.details.errors).toEqual([
+        { path: 'rateLimitTier', message: 'Unknown rate limit tier "platinum"' }
+      ]);
+      expect(gateway.routingLayer.getRouteConfig('api-reports')).toBeFalsy();
+    });
+
+    test('PATCH /admin/routes/:id should update a single field', async () => {
+      const response = await asAdmin('patch', '/admin/routes/api-inventory')
+        .send({ timeout: 2500 })
+        .expect(200);
+
+      expect(response.body.timeout).toBe(2500);
+      expect(response.body.target).toBe('http://localhost:3005');
+    });
+
+    test('GET /admin/routes/explain should report the matched route and rejected candidates', async () => {
+      const response = await request(server)
+        .get('/admin/routes/explain')
+        .query({ method: 'GET', path: '/api/users/42' })
+        .expect(200);
+
+      expect(response.body.matched).toBe(true);
+      expect(response.body.route.id).toBe('api-users');
+      expect(response.body.targetUrl).toBe('http://localhost:3001/42');
+      expect(response.body.targets[0].circuitBreaker.state).toBe('closed');
+
+      const auth = response.body.candidates.find(candidate => candidate.id === 'api-auth');
+      expect(auth.status).toBe('rejected');
+    });
+
+    test('Concurrent route changes should all be persisted', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-routes-'));
+      const file = path.join(directory, 'routes.json');
+      const routeStore = gateway.routeStore;
+      gateway.routeStore = new RouteStore({ backend: 'file', file });
+
+      try {
+        const responses = await Promise.all([1, 2, 3, 4, 5].map(n => (
+          asAdmin('post', '/admin/routes')
+            .send({ path: `/api/concurrent-${n}`, target: 'http://localhost:3005', methods: ['GET'] })
+        )));
+
+        expect(responses.map(response => response.status)).toEqual([201, 201, 201, 201, 201]);
+        const { overrides } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(overrides.map(override => override.id)).toEqual(expect.arrayContaining(
+          ['api-concurrent-1', 'api-concurrent-2', 'api-concurrent-3', 'api-concurrent-4', 'api-concurrent-5']
+        ));
+        expect(fs.readdirSync(directory)).toEqual(['routes.json']);
+      } finally {
+        [1, 2, 3, 4, 5].forEach(n => gateway.routingLayer.removeRouteById(`api-concurrent-${n}`));
+        gateway.routeStore = routeStore;
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('A failed save should roll back only its own change', async () => {
+      const routeStore = gateway.routeStore;
+      let saves = 0;
+      gateway.routeStore = {
+        backend: 'test',
+        loaded: true,
+        save: async () => {
+          saves++;
+          if (saves === 1) {
+            throw new Error('disk full');
+          }
+        }
+      };
+
+      try {
+        const [failed, saved] = await Promise.all([
+          asAdmin('post', '/admin/routes').send({ path: '/api/rollback-a', target: 'http://localhost:3005' }),
+          asAdmin('post', '/admin/routes').send({ path: '/api/rollback-b', target: 'http://localhost:3005' })
+        ]);
+
+        expect(failed.status).toBe(503);
+        expect(saved.status).toBe(201);
+        expect(gateway.routingLayer.getRouteConfig('api-rollback-a')).toBeFalsy();
+        expect(gateway.routingLayer.getRouteConfig('api-rollback-b')).toBeTruthy();
+      } finally {
+        gateway.routingLayer.removeRouteById('api-rollback-b');
+        gateway.routeStore = routeStore;
+      }
+    });
+
+    test('A route that cannot be compiled should be rejected without breaking later changes', async () => {
+      const response = await asAdmin('post', '/admin/routes')
+        .send({ path: '/api/(x', target: 'http://localhost:3005' })
+        .expect(400);
+
+      expect(response.body.error).toBe('INVALID_ROUTE_CONFIG');
+      expect(response.body.details.errors[0].message).toMatch(/not a valid pattern/);
+      expect(gateway.routingLayer.getRouteConfig('api-x')).toBeFalsy();
+
+      try {
+        await asAdmin('post', '/admin/routes')
+          .send({ path: '/api/compiled', target: 'http://localhost:3005' })
+          .expect(201);
+      } finally {
+        gateway.routingLayer.removeRouteById('api-compiled');
+      }
+    });
+
+    test('A gateway config whose routes cannot be compiled should not be applied at all', () => {
+      const tiers = gateway.rateLimitLayer.rateLimitTiers;
+      const routes = gateway.routingLayer.routes;
+
+      expect(() => gateway.applyGatewayConfig({
+        rateLimiting: { tiers: { bulk: { requests: 5, windowMs: 1000 } } },
+        routes: [{ path: '/api/(x', target: 'http://localhost:3005' }]
+      })).toThrow(expect.objectContaining({ errorCode: 'VALIDATION_ERROR' }));
+
+      expect(gateway.rateLimitLayer.rateLimitTiers).toBe(tiers);
+      expect(gateway.routingLayer.routes).toBe(routes);
+    });
+
+    test('Route changes should wait for stored changes that could not be loaded at startup', async () => {
+      const stored = { overrides: [{ id: 'api-stored', route: { id: 'api-stored', path: '/api/stored', target: 'http://localhost:3005' } }] };
+      const redisClient = {
+        get: jest.fn(async () => JSON.stringify(stored)),
+        set: jest.fn(async () => {})
+      };
+      const redisLayer = { isConnected: false, redisClient };
+      const routeStore = gateway.routeStore;
+      gateway.routeStore = new RouteStore({ backend: 'redis', redisLayer });
+
+      try {
+        const unavailable = await asAdmin('post', '/admin/routes')
+          .send({ path: '/api/while-down', target: 'http://localhost:3005' })
+          .expect(503);
+
+        expect(unavailable.body.error).toBe('ROUTE_STORE_UNAVAILABLE');
+        expect(gateway.routingLayer.getRouteConfig('api-while-down')).toBeFalsy();
+        expect(redisClient.set).not.toHaveBeenCalled();
+
+        redisLayer.isConnected = true;
+        await asAdmin('post', '/admin/routes')
+          .send({ path: '/api/after-recovery', target: 'http://localhost:3005' })
+          .expect(201);
+
+        const { overrides } = JSON.parse(redisClient.set.mock.calls[0][1]);
+        expect(overrides.map(override => override.id)).toEqual(expect.arrayContaining(['api-stored', 'api-after-recovery']));
+        expect(gateway.routingLayer.getRouteConfig('api-stored')).toBeTruthy();
+      } finally {
+        gateway.routingLayer.removeRouteById('api-stored');
+        gateway.routingLayer.removeRouteById('api-after-recovery');
+        gateway.routeStore = routeStore;
+      }
+    });
+
+    test('DELETE /admin/routes/:id should remove only that route', async () => {
+      await asAdmin('delete', '/admin/routes/api-inventory')
+        .expect(204);
+
+      await request(server)
+        .get('/admin/routes/api-inventory')
+        .expect(404);
+    });
+
+    test('Route changes should log the route count at info and the full table at debug', async () => {
+      const logSystem = jest.spyOn(logger, 'logSystem');
+      const { version } = gateway.routingLayer.getStats();
+
+      try {
+        await asAdmin('post', '/admin/routes')
+          .send({ path: '/api/logged', target: 'http://localhost:3005' })
+          .expect(201);
+
+        const rebuilt = logSystem.mock.calls.filter(([, message]) => ['Routes initialized', 'Route table'].includes(message));
+        expect(rebuilt).toEqual([
+          ['info', 'Routes initialized', { version: version + 1, routeCount: gateway.routingLayer.routes.length, overrideCount: expect.any(Number) }],
+          ['debug', 'Route table', { version: version + 1, routes: expect.arrayContaining([expect.objectContaining({ id: 'api-logged' })]) }]
+        ]);
+        expect(gateway.routingLayer.getStats().version).toBe(version + 1);
+      } finally {
+        logSystem.mockRestore();
+        gateway.routingLayer.removeRouteById('api-logged');
+      }
+    });
+  });
+
   describe('Request Processing', () => {
     test('Should add request ID to all responses', async () => {
       const response = await request(server)
@@ -89,6 +373,118 @@ describe('API Gateway', () => {
       expect(response.body.requestId).toBeDefined();
     });
 
+    test('Should return 405 with Allow header when only the method is wrong', async () => {
+      const response = await request(server)
+        .get('/api/auth')
+        .expect(405);
+
+      expect(response.body.error).toBe('METHOD_NOT_ALLOWED');
+      expect(response.headers.allow).toBe('POST, OPTIONS');
+    });
+
+    test('Should answer OPTIONS from route configuration', async () => {
+      const response = await request(server)
+        .options('/api/auth')
+        .expect(204);
+
+      expect(response.headers.allow).toBe('POST, OPTIONS');
+    });
+
+    test('Should serve static routes without an upstream', async () => {
+      gateway.routingLayer.addRoute({
+        path: '/api/mock/items/:id',
+        type: 'static',
+        authRequired: false,
+        response: { status: 201, body: { id: '{{params.id}}' }, template: true }
+      });
+
+      const response = await request(server)
+        .get('/api/mock/items/7')
+        .expect(201);
+
+      expect(response.body.id).toBe('7');
+    });
+
+    describe('Static files', () => {
+      let root;
+      let staticRoot;
+
+      beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-static-'));
+        fs.mkdirSync(path.join(root, 'public'));
+        fs.writeFileSync(path.join(root, 'public', 'search.html'), '<p>Results for {{query.q}}</p>');
+        fs.writeFileSync(path.join(root, 'secret.txt'), 'top secret');
+        fs.symlinkSync(path.join(root, 'secret.txt'), path.join(root, 'public', 'link.txt'));
+        staticRoot = config.staticFiles.root;
+        config.staticFiles.root = path.join(root, 'public');
+      });
+
+      afterAll(() => {
+        config.staticFiles.root = staticRoot;
+        fs.rmSync(root, { recursive: true, force: true });
+      });
+
+      test('Should reject static routes whose file is outside the static root', async () => {
+        for (const file of ['/etc/passwd', '../secret.txt']) {
+          const response = await asAdmin('post', '/admin/routes')
+            .send({ type: 'static', path: '/leak', authRequired: false, response: { file } })
+            .expect(400);
+
+          expect(response.body.error).toBe('INVALID_ROUTE_CONFIG');
+        }
+        await request(server).get('/leak').expect(404);
+      });
+
+      test('Should escape template values in HTML files', async () => {
+        gateway.routingLayer.addRoute({
+          path: '/search',
+          type: 'static',
+          authRequired: false,
+          response: { file: 'search.html', template: true }
+        });
+
+        const response = await request(server)
+          .get('/search')
+          .query({ q: '<script>alert("x")</script>' })
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/text\/html/);
+        expect(response.text).toBe('<p>Results for &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+      });
+
+      test('Should escape template values in string bodies sent as HTML', async () => {
+        gateway.routingLayer.addRoute({
+          path: '/greeting',
+          type: 'static',
+          authRequired: false,
+          response: { body: 'Hello {{query.name}}', template: true }
+        });
+
+        const response = await request(server)
+          .get('/greeting')
+          .query({ name: '<b>Ada</b>' })
+          .expect(200);
+
+        expect(response.text).toBe('Hello &lt;b&gt;Ada&lt;/b&gt;');
+      });
+
+      test('Should refuse a symlink that points outside the static root', async () => {
+        gateway.routingLayer.addRoute({
+          path: '/linked',
+          type: 'static',
+          authRequired: false,
+          response: { file: 'link.txt' }
+        });
+
+        const response = await request(server)
+          .get('/linked')
+          .expect(403);
+
+        expect(response.body.error).toBe('STATIC_RESPONSE_FORBIDDEN');
+        expect(response.text).not.toContain('top secret');
+      });
+    });
+
     test('Should validate HTTP methods', async () => {
       const response = await request(server)
         .trace('/ping') // TRACE is not allowed
@@ -98,6 +494,1122 @@ describe('API Gateway', () => {
     });
   });
 
+  describe('Load Balancing', () => {
+    const startNamedUpstreams = (...names) => Promise.all(names.map(name => startUpstream(respondWith(200, { name }))));
+
+    const collectNames = async (path, count, headers = {}) => {
+      const names = [];
+      for (let i = 0; i < count; i++) {
+        const response = await request(server).get(path).set(headers).expect(200);
+        names.push(response.body.name);
+      }
+      return names;
+    };
+
+    test('round-robin should alternate between targets', async () => {
+      const [a, b] = await startNamedUpstreams('a', 'b');
+      gateway.routingLayer.addRoute({
+        path: '/api/balanced/round-robin',
+        targets: [a.url, b.url],
+        authRequired: false
+      });
+
+      const names = await collectNames('/api/balanced/round-robin', 4);
+      expect(names.filter(name => name === 'a')).toHaveLength(2);
+      expect(names[0]).not.toBe(names[1]);
+    });
+
+    test('weighted should send traffic in proportion to target weights', async () => {
+      const [a, b] = await startNamedUpstreams('a', 'b');
+      gateway.routingLayer.addRoute({
+        path: '/api/balanced/weighted',
+        targets: [{ url: a.url, weight: 1 }, { url: b.url, weight: 3 }],
+        loadBalancing: { strategy: 'weighted' },
+        authRequired: false
+      });
+
+      const names = await collectNames('/api/balanced/weighted', 8);
+      expect(names.filter(name => name === 'a')).toHaveLength(2);
+      expect(names.filter(name => name === 'b')).toHaveLength(6);
+    });
+
+    test('consistent-hash should keep a session on the same target', async () => {
+      const [a, b, c] = await startNamedUpstreams('a', 'b', 'c');
+      gateway.routingLayer.addRoute({
+        path: '/api/balanced/sticky',
+        targets: [a.url, b.url, c.url],
+        loadBalancing: { strategy: 'consistent-hash', hashOn: 'header', hashHeader: 'x-session-id' },
+        authRequired: false
+      });
+
+      for (const session of ['session-1', 'session-2', 'session-3']) {
+        const names = await collectNames('/api/balanced/sticky', 3, { 'X-Session-ID': session });
+        expect(new Set(names).size).toBe(1);
+      }
+    });
+
+    test('least-outstanding should avoid targets with requests in flight', () => {
+      const targets = [{ url: 'http://a', weight: 1 }, { url: 'http://b', weight: 1 }];
+      const balancer = new LoadBalancer(targets, { strategy: 'least-outstanding' });
+
+      balancer.acquire(targets[0]);
+      expect(balancer.select({ context: {} }, targets)).toBe(targets[1]);
+      expect(balancer.select({ context: {} }, targets)).toBe(targets[1]);
+
+      balancer.release(targets[0]);
+      balancer.acquire(targets[1]);
+      expect(balancer.select({ context: {} }, targets)).toBe(targets[0]);
+    });
+  });
+
+  describe('Upstream Health Checks', () => {
+    const proxiedRequests = upstream => upstream.requests.filter(req => req.url !== '/health').length;
+
+    test('Should eject a target that fails its probes until it is no longer checked', async () => {
+      const sick = await startUpstream(respondWith(503));
+      const well = await startUpstream(respondWith(200));
+      const sickService = sick.url.replace('http://', '');
+      gateway.routingLayer.addRoute({
+        path: '/api/probed',
+        targets: [sick.url, well.url],
+        methods: ['GET'],
+        authRequired: false,
+        retries: 0,
+        healthCheck: { path: '/health', interval: 1000, unhealthyThreshold: 1, healthyThreshold: 1 }
+      });
+
+      gateway.healthProber.tick();
+      await waitFor(() => gateway.healthProber.getStatus()[sickService]?.lastCheck);
+
+      expect(gateway.healthProber.getStatus()[sickService]).toMatchObject({ healthy: false, lastStatus: 503 });
+      expect(gateway.healthProber.healthCheck().status).toBe('degraded');
+
+      for (let i = 0; i < 4; i++) {
+        await request(server).get('/api/probed').expect(200);
+      }
+      expect(proxiedRequests(sick)).toBe(0);
+      expect(proxiedRequests(well)).toBe(4);
+
+      await asAdmin('delete', '/admin/routes/api-probed').expect(204);
+      gateway.healthProber.tick();
+
+      expect(gateway.healthProber.getStatus()[sickService]).toBeUndefined();
+      expect(gateway.forwardingLayer.unhealthyServices.has(sickService)).toBe(false);
+    });
+  });
+
+  describe('Path Rewriting', () => {
+    let upstream;
+
+    beforeAll(async () => {
+      upstream = await startUpstream((req, res) => respondWith(200, { url: req.url })(req, res));
+      [
+        { path: '/api/rw/plain' },
+        { path: '/api/rw/kept', stripPath: false },
+        { path: '/api/rw/users/:id/profile', rewrite: '/v1/profile?user=:id' },
+        { path: '/api/rw/products', rewrite: { prefix: '/catalog' } },
+        { path: '/api/rw/legacy', rewrite: { pattern: '^/api/rw/legacy/(?<kind>\\w+)/(\\d+)$', replacement: '/old/$<kind>?id=$2' } }
+      ].forEach(route => gateway.routingLayer.addRoute({ ...route, target: upstream.url, authRequired: false }));
+    });
+
+    const upstreamUrlFor = async path => (await request(server).get(path).expect(200)).body.url;
+
+    test('Should strip the route prefix unless stripPath is false', async () => {
+      expect(await upstreamUrlFor('/api/rw/plain/a/b?q=1')).toBe('/a/b?q=1');
+      expect(await upstreamUrlFor('/api/rw/kept/a')).toBe('/api/rw/kept/a');
+    });
+
+    test('Should fill path parameters into a template rewrite', async () => {
+      expect(await upstreamUrlFor('/api/rw/users/42/profile')).toBe('/v1/profile?user=42');
+    });
+
+    test('Should swap the matched prefix', async () => {
+      expect(await upstreamUrlFor('/api/rw/products/7?sort=asc')).toBe('/catalog/7?sort=asc');
+    });
+
+    test('Should apply regex rewrites with named and numbered groups', async () => {
+      expect(await upstreamUrlFor('/api/rw/legacy/book/9')).toBe('/old/book?id=9');
+    });
+
+    test('rewrite-preview should show the upstream URL without calling it', async () => {
+      const hits = upstream.hits;
+      const response = await request(server)
+        .get('/admin/routes/api-rw-products/rewrite-preview')
+        .query({ url: '/api/rw/products/7' })
+        .expect(200);
+
+      expect(response.body.targetUrl).toBe(`${upstream.url}/catalog/7`);
+      expect(upstream.hits).toBe(hits);
+    });
+  });
+
+  describe('Traffic Splitting', () => {
+    let stable;
+    let canary;
+
+    beforeAll(async () => {
+      [stable, canary] = await Promise.all(['v1', 'v2'].map(name => startUpstream(respondWith(200, { name }))));
+      gateway.routingLayer.addRoute({
+        path: '/api/split',
+        authRequired: false,
+        splits: [
+          { name: 'v1', weight: 50, target: stable.url },
+          { name: 'v2', weight: 50, target: canary.url }
+        ]
+      });
+    });
+
+    const versionFor = async (session) => {
+      const response = await request(server).get('/api/split').set('Cookie', `gw_sid=${session}`).expect(200);
+      expect(response.headers['x-route-version']).toBe(response.body.name);
+      return response.body.name;
+    };
+
+    test('Should hand anonymous clients a sticky cookie and keep them on one split', async () => {
+      const first = await request(server).get('/api/split').expect(200);
+      const session = /gw_sid=([^;]+)/.exec(first.headers['set-cookie'][0])[1];
+
+      for (let i = 0; i < 5; i++) {
+        expect(await versionFor(session)).toBe(first.body.name);
+      }
+    });
+
+    test('Should spread sessions across splits by weight', async () => {
+      const versions = [];
+      for (let i = 0; i < 40; i++) {
+        versions.push(await versionFor(`session-${i}`));
+      }
+
+      expect(versions).toContain('v1');
+      expect(versions).toContain('v2');
+    });
+
+    test('Should honour the override header', async () => {
+      const response = await request(server)
+        .get('/api/split')
+        .set('Cookie', 'gw_sid=session-1')
+        .set('X-Route-Version', 'v2')
+        .expect(200);
+
+      expect(response.body.name).toBe('v2');
+    });
+
+    test('PATCH /admin/routes/:id/splits should move all traffic off a zero-weight split', async () => {
+      await asAdmin('patch', '/admin/routes/api-split/splits')
+        .send({ v1: 100, v2: 0 })
+        .expect(200);
+
+      const versions = [];
+      for (let i = 0; i < 10; i++) {
+        versions.push(await versionFor(`session-${i}`));
+      }
+      expect(new Set(versions)).toEqual(new Set(['v1']));
+
+      const response = await request(server).get('/admin/routes/api-split/splits').expect(200);
+      expect(response.body.splits.map(split => split.weight)).toEqual([100, 0]);
+    });
+  });
+
+  describe('Match Conditions', () => {
+    beforeAll(async () => {
+      const [mobile, beta, fallback] = await Promise.all(['mobile', 'beta', 'default'].map(name => (
+        startUpstream(respondWith(200, { name }))
+      )));
+
+      gateway.routingLayer.addRoute({ id: 'vhost-default', path: '/api/vhost', target: fallback.url, authRequired: false });
+      gateway.routingLayer.addRoute({
+        id: 'vhost-mobile',
+        path: '/api/vhost',
+        target: mobile.url,
+        authRequired: false,
+        hosts: ['*.example.com'],
+        headers: { 'X-Client': 'mobile' }
+      });
+      gateway.routingLayer.addRoute({
+        id: 'vhost-beta',
+        path: '/api/vhost',
+        target: beta.url,
+        authRequired: false,
+        query: { version: ['2', '3'] },
+        cookies: { beta: true }
+      });
+    });
+
+    const nameFor = async (url, headers = {}) => (await request(server).get(url).set(headers).expect(200)).body.name;
+
+    test('Should select a route only when host and headers both match', async () => {
+      expect(await nameFor('/api/vhost', { Host: 'api.example.com', 'X-Client': 'mobile' })).toBe('mobile');
+      expect(await nameFor('/api/vhost', { Host: 'api.example.com', 'X-Client': 'web' })).toBe('default');
+      expect(await nameFor('/api/vhost', { Host: 'example.com', 'X-Client': 'mobile' })).toBe('default');
+      expect(await nameFor('/api/vhost', { Host: 'a.b.example.com', 'X-Client': 'mobile' })).toBe('default');
+    });
+
+    test('Should match query values from a list and cookies by presence', async () => {
+      expect(await nameFor('/api/vhost?version=3', { Cookie: 'beta=anything' })).toBe('beta');
+      expect(await nameFor('/api/vhost?version=1', { Cookie: 'beta=anything' })).toBe('default');
+      expect(await nameFor('/api/vhost?version=2')).toBe('default');
+    });
+
+    test('Explain should name the condition that rejected a route', async () => {
+      const response = await request(server)
+        .get('/admin/routes/explain')
+        .query({ method: 'GET', path: '/api/vhost', host: 'api.example.com' })
+        .expect(200);
+
+      expect(response.body.route.id).toBe('vhost-default');
+      const mobile = response.body.candidates.find(candidate => candidate.id === 'vhost-mobile');
+      expect(mobile.status).toBe('rejected');
+      expect(mobile.reasons.map(reason => reason.check)).toEqual(['header:x-client']);
+    });
+  });
+
+  describe('Retries', () => {
+    test('Should not retry non-idempotent methods', async () => {
+      const upstream = await startUpstream(respondWith(503));
+      gateway.routingLayer.addRoute({
+        path: '/api/retries/orders',
+        target: upstream.url,
+        methods: ['POST'],
+        authRequired: false,
+        retries: 3,
+        retryPolicy: { backoff: { base: 1, jitter: 'none' } }
+      });
+
+      await request(server)
+        .post('/api/retries/orders')
+        .send({ item: 'book' })
+        .expect(503);
+
+      expect(upstream.hits).toBe(1);
+    });
+
+    test('Should retry idempotent methods on retryable statuses', async () => {
+      const upstream = await startUpstream((req, res, { hits }) => respondWith(hits < 3 ? 503 : 200, { hits })(req, res));
+      gateway.routingLayer.addRoute({
+        path: '/api/retries/items',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 3,
+        retryPolicy: { backoff: { base: 1, jitter: 'none' } }
+      });
+
+      const response = await request(server)
+        .get('/api/retries/items')
+        .expect(200);
+
+      expect(response.body.hits).toBe(3);
+      expect(response.headers['x-gateway-retries']).toBe('2');
+    });
+
+    test('Should stop retrying once the retry budget is spent', async () => {
+      const upstream = await startUpstream(respondWith(503));
+      gateway.routingLayer.addRoute({
+        path: '/api/retries/budget',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 3,
+        retryPolicy: { backoff: { base: 1, jitter: 'none' }, budget: { ratio: 0, minRetriesPerSecond: 0 } }
+      });
+
+      await request(server)
+        .get('/api/retries/budget')
+        .expect(503);
+
+      expect(upstream.hits).toBe(1);
+      const budgets = gateway.forwardingLayer.getRetryBudgetStates();
+      expect(budgets[upstream.url.replace('http://', '')].rejected).toBe(1);
+    });
+
+    test('Should not wait for a backoff that ends past the deadline', async () => {
+      const upstream = await startUpstream(respondWith(503));
+      gateway.routingLayer.addRoute({
+        path: '/api/retries/deadline',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 3,
+        deadline: 500,
+        retryPolicy: { backoff: { base: 2000, jitter: 'none' } }
+      });
+
+      const startedAt = Date.now();
+      await request(server)
+        .get('/api/retries/deadline')
+        .expect(503);
+
+      expect(upstream.hits).toBe(1);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+  });
+
+  describe('Connection Pools', () => {
+    test('Should fail requests queued past the pool queue timeout without retrying them', async () => {
+      const upstream = await startUpstream((req, res) => setTimeout(() => respondWith(200)(req, res), 400));
+      const serviceName = upstream.url.replace('http://', '');
+      // A retry after the backoff would find the pool free again, so only a 503 shows it was not retried
+      gateway.routingLayer.addRoute({
+        path: '/api/pooled',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 2,
+        retryPolicy: { backoff: { base: 500, cap: 500, jitter: 'none' } }
+      });
+      gateway.forwardingLayer.configureConnectionPools({
+        services: { [serviceName]: { maxSockets: 1, queueTimeout: 100 } }
+      });
+
+      try {
+        const responses = await Promise.all([
+          request(server).get('/api/pooled/first'),
+          request(server).get('/api/pooled/second')
+        ]);
+        const statuses = responses.map(response => response.status).sort();
+        const rejected = responses.find(response => response.status === 503);
+
+        expect(statuses).toEqual([200, 503]);
+        expect(rejected.body.error).toBe('UPSTREAM_POOL_EXHAUSTED');
+        expect(upstream.hits).toBe(1);
+
+        const pools = (await request(server).get('/admin/metrics').expect(200)).body.connectionPools;
+        expect(pools[serviceName]).toMatchObject({ maxSockets: 1, queueTimeouts: 1, queued: 0 });
+      } finally {
+        gateway.forwardingLayer.configureConnectionPools({ services: {} });
+      }
+    });
+  });
+
+  describe('Bulkheads', () => {
+    const slowUpstream = delay => startUpstream((req, res) => setTimeout(() => respondWith(200)(req, res), delay));
+
+    const sendConcurrently = async (path, count) => {
+      const responses = await Promise.all(Array.from({ length: count }, () => request(server).get(path)));
+      return responses.sort((a, b) => a.status - b.status);
+    };
+
+    test('Should queue calls over maxConcurrent and reject them once the queue is full', async () => {
+      const upstream = await slowUpstream(200);
+      gateway.routingLayer.addRoute({
+        path: '/api/bulkhead/full',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 0,
+        bulkhead: { maxConcurrent: 1, maxQueue: 1, queueTimeout: 2000 }
+      });
+
+      const responses = await sendConcurrently('/api/bulkhead/full', 3);
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 503]);
+      expect(responses[2].body.error).toBe('BULKHEAD_FULL');
+      expect(responses[2].body.details.reason).toBe('queue_full');
+      expect(upstream.hits).toBe(2);
+    });
+
+    test('Should reject queued calls after queueTimeout', async () => {
+      const upstream = await slowUpstream(400);
+      gateway.routingLayer.addRoute({
+        path: '/api/bulkhead/slow',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 0,
+        bulkhead: { maxConcurrent: 1, maxQueue: 5, queueTimeout: 100 }
+      });
+
+      const responses = await sendConcurrently('/api/bulkhead/slow', 2);
+
+      expect(responses.map(response => response.status)).toEqual([200, 503]);
+      expect(responses[1].body.details.reason).toBe('queue_timeout');
+      expect(upstream.hits).toBe(1);
+
+      const bulkheads = gateway.forwardingLayer.getBulkheadStates();
+      const key = `${upstream.url.replace('http://', '')}|api-bulkhead-slow`;
+      expect(bulkheads[key]).toMatchObject({ inFlight: 0, queued: 0, queueTimeouts: 1 });
+    });
+  });
+
+  describe('Aggregation', () => {
+    let upstream;
+
+    const addScreen = (path, userPath) => gateway.routingLayer.addRoute({
+      path,
+      type: 'aggregate',
+      authRequired: false,
+      aggregate: {
+        calls: [
+          { name: 'user', target: upstream.url, path: userPath },
+          { name: 'orders', target: upstream.url, path: '/orders?userId={{results.user.id}}', dependsOn: ['user'] },
+          { name: 'recommendations', target: upstream.url, path: '/featured', optional: true }
+        ]
+      }
+    });
+
+    beforeAll(async () => {
+      upstream = await startUpstream((req, res) => {
+        const url = new URL(req.url, 'http://upstream');
+
+        if (url.pathname === '/users/7') {
+          return respondWith(200, { id: 'user 7', name: 'Ada' })(req, res);
+        }
+        if (url.pathname === '/orders') {
+          return respondWith(200, [{ userId: url.searchParams.get('userId') }])(req, res);
+        }
+        return respondWith(503, { error: 'unavailable' })(req, res);
+      });
+    });
+
+    test('Should feed dependency results into later calls and null out failed optional calls', async () => {
+      addScreen('/api/screens/:id', '/users/{{params.id}}');
+
+      const response = await request(server)
+        .get('/api/screens/7')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        user: { id: 'user 7', name: 'Ada' },
+        orders: [{ userId: 'user 7' }],
+        recommendations: null,
+        errors: [{ call: 'recommendations', error: 'UPSTREAM_ERROR', message: 'Upstream responded with 503' }]
+      });
+      expect(response.headers['x-gateway-partial']).toBe('recommendations');
+      expect(upstream.requests.some(req => req.url === '/orders?userId=user%207')).toBe(true);
+    });
+
+    test('Should fail the request when a required call fails and skip its dependents', async () => {
+      addScreen('/api/broken-screens/:id', '/missing/{{params.id}}');
+      const ordersCalls = upstream.requests.filter(req => req.url.startsWith('/orders')).length;
+
+      const response = await request(server)
+        .get('/api/broken-screens/7')
+        .expect(502);
+
+      expect(response.body.error).toBe('AGGREGATION_FAILED');
+      expect(response.body.details).toMatchObject({ call: 'user', error: 'UPSTREAM_ERROR' });
+      expect(upstream.requests.filter(req => req.url.startsWith('/orders')).length).toBe(ordersCalls);
+    });
+  });
+
+  describe('Deadlines', () => {
+    let upstream;
+
+    beforeAll(async () => {
+      upstream = await startUpstream((req, res) => respondWith(200, {
+        requestTimeout: req.headers['x-request-timeout'],
+        grpcTimeout: req.headers['grpc-timeout']
+      })(req, res));
+      gateway.routingLayer.addRoute({
+        path: '/api/deadlines',
+        target: upstream.url,
+        methods: ['GET', 'PUT'],
+        authRequired: false,
+        streaming: true,
+        deadline: 5000
+      });
+    });
+
+    test('Should send the time left to the upstream', async () => {
+      const response = await request(server)
+        .get('/api/deadlines')
+        .expect(200);
+
+      const remaining = parseInt(response.body.requestTimeout, 10);
+      expect(remaining).toBeGreaterThan(4000);
+      expect(remaining).toBeLessThanOrEqual(5000);
+      expect(response.body.grpcTimeout).toBeUndefined();
+    });
+
+    test('Should let clients shorten the deadline but never extend it', async () => {
+      const shortened = await request(server)
+        .get('/api/deadlines')
+        .set('X-Request-Timeout', '800')
+        .expect(200);
+      const extended = await request(server)
+        .get('/api/deadlines')
+        .set('X-Request-Timeout', '60000')
+        .expect(200);
+
+      expect(parseInt(shortened.body.requestTimeout, 10)).toBeLessThanOrEqual(800);
+      expect(parseInt(extended.body.requestTimeout, 10)).toBeLessThanOrEqual(5000);
+    });
+
+    test('Should rewrite grpc-timeout with the time left', async () => {
+      const response = await request(server)
+        .get('/api/deadlines')
+        .set('grpc-timeout', '1S')
+        .expect(200);
+
+      expect(response.body.grpcTimeout).toMatch(/^\d+m$/);
+      expect(parseInt(response.body.grpcTimeout, 10)).toBeLessThanOrEqual(1000);
+      expect(parseInt(response.body.requestTimeout, 10)).toBeLessThanOrEqual(1000);
+    });
+
+    test('Should fail with DEADLINE_EXCEEDED when time runs out before the upstream call', async () => {
+      const listener = http.createServer(server);
+      await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+      const hits = upstream.hits;
+
+      try {
+        // The deadline passes while the gateway is still reading the slow upload
+        const response = await new Promise((resolve, reject) => {
+          const req = http.request({
+            port: listener.address().port,
+            host: '127.0.0.1',
+            method: 'PUT',
+            path: '/api/deadlines/upload',
+            headers: { 'content-type': 'text/plain', 'content-length': 5, 'x-request-timeout': '100' }
+          }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+          });
+          req.on('error', reject);
+          req.flushHeaders();
+          setTimeout(() => req.end('hello'), 200);
+        });
+
+        expect(response.status).toBe(504);
+        expect(response.body.error).toBe('DEADLINE_EXCEEDED');
+        expect(upstream.hits).toBe(hits);
+      } finally {
+        listener.closeAllConnections();
+        await new Promise(resolve => listener.close(resolve));
+      }
+    });
+  });
+
+  describe('Streaming', () => {
+    test('Should keep a quiet event stream open past the route timeout', async () => {
+      const upstream = await startUpstream((req, res) => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.flushHeaders();
+        let tick = 0;
+        const timer = setInterval(() => {
+          res.write(`data: ${++tick}\n\n`);
+          if (tick === 3) {
+            clearInterval(timer);
+            res.end();
+          }
+        }, 300);
+      });
+      gateway.routingLayer.addRoute({
+        path: '/api/events',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        streaming: true,
+        timeout: 200
+      });
+
+      const response = await request(server)
+        .get('/api/events')
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      expect(response.body).toBe('data: 1\n\ndata: 2\n\ndata: 3\n\n');
+    });
+
+    test('Should replay a small buffered body when retrying', async () => {
+      const bodies = [];
+      const upstream = await startUpstream((req, res, { hits }) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          bodies.push(body);
+          respondWith(hits < 2 ? 503 : 200, { body })(req, res);
+        });
+      });
+      gateway.routingLayer.addRoute({
+        path: '/api/uploads-small',
+        target: upstream.url,
+        methods: ['PUT'],
+        authRequired: false,
+        streaming: true,
+        retries: 2,
+        retryPolicy: { backoff: { base: 1, jitter: 'none' } }
+      });
+
+      const response = await request(server)
+        .put('/api/uploads-small/report.txt')
+        .set('content-type', 'text/plain')
+        .send('quarterly numbers')
+        .expect(200);
+
+      expect(response.body.body).toBe('quarterly numbers');
+      expect(bodies).toEqual(['quarterly numbers', 'quarterly numbers']);
+      expect(response.headers['x-gateway-retries']).toBe('1');
+    });
+
+    test('Should give bodies too large to replay a single attempt', async () => {
+      const upstream = await startUpstream((req, res) => {
+        req.resume();
+        req.on('end', () => respondWith(503)(req, res));
+      });
+      gateway.routingLayer.addRoute({
+        path: '/api/uploads-large',
+        target: upstream.url,
+        methods: ['PUT'],
+        authRequired: false,
+        streaming: true,
+        retries: 2,
+        retryPolicy: { backoff: { base: 1, jitter: 'none' } }
+      });
+      const maxReplayBodyBytes = config.forwarding.maxReplayBodyBytes;
+      config.forwarding.maxReplayBodyBytes = 8;
+
+      try {
+        await request(server)
+          .put('/api/uploads-large/report.txt')
+          .set('content-type', 'text/plain')
+          .send('quarterly numbers')
+          .expect(503);
+      } finally {
+        config.forwarding.maxReplayBodyBytes = maxReplayBodyBytes;
+      }
+
+      expect(upstream.hits).toBe(1);
+    });
+
+    test('Should still time out an upstream that never sends headers', async () => {
+      const upstream = await startUpstream(() => {});
+      gateway.routingLayer.addRoute({
+        path: '/api/events-stalled',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        streaming: true,
+        timeout: 200,
+        retries: 0
+      });
+
+      const response = await request(server)
+        .get('/api/events-stalled')
+        .expect(504);
+
+      expect(response.body.error).toBe('GATEWAY_TIMEOUT');
+    });
+  });
+
+  describe('WebSocket Proxying', () => {
+    test('Should abort the upstream handshake when the client resets the connection', async () => {
+      const upstream = await startUpstream(respondWith(404));
+      const upstreamClosed = new Promise((resolve) => {
+        // Never answer the upgrade, so the gateway is still waiting when the client goes away
+        upstream.server.on('upgrade', (req, socket) => {
+          upstream.sockets.push(socket);
+          socket.on('end', resolve).resume();
+        });
+      });
+      gateway.routingLayer.addRoute({
+        path: '/ws/reset',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        websocket: true
+      });
+
+      const wsServer = http.createServer(server);
+      gateway.webSocketLayer.attach(wsServer);
+      await new Promise(resolve => wsServer.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const client = net.connect(wsServer.address().port, '127.0.0.1');
+        await new Promise(resolve => client.on('connect', resolve));
+        client.write([
+          'GET /ws/reset HTTP/1.1',
+          'Host: localhost',
+          'Connection: Upgrade',
+          'Upgrade: websocket',
+          'Sec-WebSocket-Version: 13',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          '',
+          ''
+        ].join('\r\n'));
+
+        await new Promise(resolve => upstream.server.once('upgrade', resolve));
+        client.resetAndDestroy();
+        await upstreamClosed;
+
+        await request(server)
+          .get('/ping')
+          .expect(200);
+      } finally {
+        wsServer.closeAllConnections();
+        await new Promise(resolve => wsServer.close(resolve));
+      }
+    });
+
+    test('Should close open connections at shutdown without writing into the relayed stream', async () => {
+      const textFrame = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+      const upstream = await startUpstream(respondWith(404));
+      const upstreamReceived = [];
+      const upstreamClosed = new Promise((resolve) => {
+        upstream.server.on('upgrade', (req, socket) => {
+          upstream.sockets.push(socket);
+          socket.on('data', chunk => upstreamReceived.push(chunk));
+          socket.on('end', resolve);
+          socket.write('HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n');
+          socket.write(textFrame);
+        });
+      });
+      gateway.routingLayer.addRoute({
+        path: '/ws/shutdown',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        websocket: true
+      });
+
+      const wsServer = http.createServer(server);
+      gateway.webSocketLayer.attach(wsServer);
+      await new Promise(resolve => wsServer.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const client = net.connect(wsServer.address().port, '127.0.0.1');
+        const clientClosed = new Promise(resolve => client.on('close', resolve));
+        let clientReceived = Buffer.alloc(0);
+        client.on('data', (chunk) => {
+          clientReceived = Buffer.concat([clientReceived, chunk]);
+        });
+        await new Promise(resolve => client.on('connect', resolve));
+        client.write([
+          'GET /ws/shutdown HTTP/1.1',
+          'Host: localhost',
+          'Connection: Upgrade',
+          'Upgrade: websocket',
+          'Sec-WebSocket-Version: 13',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          '',
+          ''
+        ].join('\r\n'));
+        await waitFor(() => clientReceived.includes(textFrame));
+        expect(gateway.webSocketLayer.getStats().active).toBe(1);
+
+        await gateway.webSocketLayer.close();
+        await Promise.all([clientClosed, upstreamClosed]);
+
+        const head = clientReceived.indexOf('\r\n\r\n') + 4;
+        expect(clientReceived.subarray(head)).toEqual(textFrame);
+        expect(upstreamReceived).toEqual([]);
+        expect(gateway.webSocketLayer.getStats().active).toBe(0);
+      } finally {
+        gateway.webSocketLayer.isClosing = false;
+        wsServer.closeAllConnections();
+        await new Promise(resolve => wsServer.close(resolve));
+      }
+    });
+  });
+
+  describe('Traffic Mirroring', () => {
+    let primary;
+    let shadow;
+
+    const mirrorReport = async routeId => (await request(server)
+      .get('/admin/mirrors')
+      .query({ route: routeId })
+      .expect(200)).body;
+
+    beforeAll(async () => {
+      primary = await startUpstream(respondWith(200, { id: 1, name: 'Ada', plan: 'free' }));
+      shadow = await startUpstream((req, res) => (req.url === '/same'
+        ? respondWith(200, { id: 1, name: 'Ada', plan: 'free' })(req, res)
+        : respondWith(200, { id: 1, name: 'Ada', plan: 'pro', beta: true })(req, res)));
+
+      gateway.routingLayer.addRoute({
+        path: '/api/mirrored',
+        target: primary.url,
+        methods: ['GET'],
+        authRequired: false,
+        mirrors: [{ target: shadow.url, compare: true }]
+      });
+    });
+
+    test('Should copy requests to the mirror with a marker header', async () => {
+      const hits = shadow.hits;
+
+      const response = await request(server)
+        .get('/api/mirrored/same')
+        .expect(200);
+      await waitFor(() => shadow.hits > hits);
+
+      expect(response.body.plan).toBe('free');
+      expect(shadow.requests[shadow.requests.length - 1].headers['x-gateway-mirror']).toBe('true');
+      await waitFor(() => gateway.mirrorLayer.inFlight === 0);
+      expect((await mirrorReport('api-mirrored')).diffs).toEqual([]);
+    });
+
+    test('Should record which fields of a mirrored response differ', async () => {
+      await request(server)
+        .get('/api/mirrored/profile')
+        .expect(200);
+      await waitFor(() => gateway.mirrorLayer.diffs.some(diff => diff.path === '/profile'));
+
+      const { diffs } = await mirrorReport('api-mirrored');
+      expect(diffs).toEqual([expect.objectContaining({
+        routeId: 'api-mirrored',
+        mirror: shadow.url,
+        path: '/profile',
+        primaryStatus: 200,
+        mirrorStatus: 200,
+        bodyMatch: false,
+        fields: ['plan', 'beta']
+      })]);
+      expect((await mirrorReport('api-other')).diffs).toEqual([]);
+    });
+  });
+
+  describe('Fallbacks', () => {
+    let primary;
+    let replica;
+    const health = { primary: true, replica: true };
+
+    beforeAll(async () => {
+      primary = await startUpstream((req, res) => (health.primary
+        ? respondWith(200, { source: 'primary', url: req.url })(req, res)
+        : respondWith(503)(req, res)));
+      replica = await startUpstream((req, res) => (health.replica
+        ? respondWith(200, { source: 'replica', url: req.url })(req, res)
+        : respondWith(503)(req, res)));
+
+      gateway.routingLayer.addRoute({
+        path: '/api/fallback',
+        target: primary.url,
+        methods: ['GET'],
+        authRequired: false,
+        retries: 0,
+        fallback: {
+          strategies: [
+            { type: 'cache' },
+            { type: 'target', target: replica.url },
+            { type: 'static', status: 200, headers: { 'Content-Type': 'application/json' }, body: { source: 'static' } }
+          ]
+        }
+      });
+    });
+
+    afterEach(() => {
+      health.primary = true;
+      health.replica = true;
+    });
+
+    test('Should replay the last successful response for the same URL first', async () => {
+      await request(server).get('/api/fallback/items').expect(200);
+      health.primary = false;
+
+      const response = await request(server)
+        .get('/api/fallback/items')
+        .expect(200);
+
+      expect(response.headers['x-gateway-fallback']).toBe('cache');
+      expect(response.body).toEqual({ source: 'primary', url: '/items' });
+    });
+
+    test('Should try the alternate target when nothing is cached', async () => {
+      health.primary = false;
+
+      const response = await request(server)
+        .get('/api/fallback/uncached')
+        .expect(200);
+
+      expect(response.headers['x-gateway-fallback']).toBe('target');
+      expect(response.body).toEqual({ source: 'replica', url: '/uncached' });
+    });
+
+    test('Should serve the static payload when the alternate target fails too', async () => {
+      health.primary = false;
+      health.replica = false;
+      const replicaHits = replica.hits;
+
+      const response = await request(server)
+        .get('/api/fallback/elsewhere')
+        .expect(200);
+
+      expect(response.headers['x-gateway-fallback']).toBe('static');
+      expect(response.body).toEqual({ source: 'static' });
+      expect(replica.hits).toBe(replicaHits + 1);
+    });
+
+    test('Should pass upstream responses outside the trigger list through', async () => {
+      const upstream = await startUpstream(respondWith(404, { error: 'missing' }));
+      gateway.routingLayer.addRoute({
+        path: '/api/fallback-missing',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        fallback: { strategies: [{ type: 'static', body: { source: 'static' } }] }
+      });
+
+      const response = await request(server)
+        .get('/api/fallback-missing')
+        .expect(404);
+
+      expect(response.headers['x-gateway-fallback']).toBeUndefined();
+      expect(response.body).toEqual({ error: 'missing' });
+    });
+  });
+
+  describe('Response Caching', () => {
+    const cachedRoute = (path, upstream) => gateway.routingLayer.addRoute({
+      path,
+      target: upstream.url,
+      methods: ['GET', 'POST'],
+      authRequired: false,
+      cache: true
+    });
+
+    test('Should answer repeated GETs from the cache', async () => {
+      const upstream = await startUpstream((req, res, { hits }) => (
+        respondWith(200, { hits }, { 'cache-control': 'max-age=60' })(req, res)
+      ));
+      cachedRoute('/api/cached/basic', upstream);
+
+      const first = await request(server).get('/api/cached/basic').expect(200);
+      const second = await request(server).get('/api/cached/basic').expect(200);
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body.hits).toBe(1);
+      expect(upstream.hits).toBe(1);
+    });
+
+    test('Should store one variant per Vary header value', async () => {
+      const upstream = await startUpstream((req, res) => respondWith(
+        200,
+        { language: req.headers['accept-language'] },
+        { 'cache-control': 'max-age=60', vary: 'Accept-Language' }
+      )(req, res));
+      cachedRoute('/api/cached/vary', upstream);
+
+      const english = await request(server).get('/api/cached/vary').set('Accept-Language', 'en');
+      const german = await request(server).get('/api/cached/vary').set('Accept-Language', 'de');
+      const englishAgain = await request(server).get('/api/cached/vary').set('Accept-Language', 'en');
+
+      expect(english.body.language).toBe('en');
+      expect(german.headers['x-cache']).toBe('MISS');
+      expect(german.body.language).toBe('de');
+      expect(englishAgain.headers['x-cache']).toBe('HIT');
+      expect(englishAgain.body.language).toBe('en');
+      expect(upstream.hits).toBe(2);
+    });
+
+    test('Should answer a matching If-None-Match with 304 from the cache', async () => {
+      const upstream = await startUpstream(respondWith(200, { id: 1 }, { 'cache-control': 'max-age=60', etag: '"v1"' }));
+      cachedRoute('/api/cached/etag', upstream);
+
+      await request(server).get('/api/cached/etag').expect(200);
+      const response = await request(server)
+        .get('/api/cached/etag')
+        .set('If-None-Match', '"v1"')
+        .expect(304);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+      expect(response.headers.etag).toBe('"v1"');
+      expect(upstream.hits).toBe(1);
+    });
+
+    test('Should revalidate a stale entry with its ETag', async () => {
+      const upstream = await startUpstream((req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304, { etag: '"v1"', 'cache-control': 'max-age=0' });
+          return res.end();
+        }
+        respondWith(200, { id: 1 }, { 'cache-control': 'max-age=0', etag: '"v1"' })(req, res);
+      });
+      cachedRoute('/api/cached/revalidate', upstream);
+
+      await request(server).get('/api/cached/revalidate').expect(200);
+      const response = await request(server).get('/api/cached/revalidate').expect(200);
+
+      expect(response.headers['x-cache']).toBe('REVALIDATED');
+      expect(response.body.id).toBe(1);
+      expect(upstream.requests[1].headers['if-none-match']).toBe('"v1"');
+    });
+
+    test('Should not store no-store responses or serve no-store requests from the cache', async () => {
+      const upstream = await startUpstream(respondWith(200, {}, { 'cache-control': 'no-store' }));
+      cachedRoute('/api/cached/no-store', upstream);
+
+      await request(server).get('/api/cached/no-store').expect(200);
+      const second = await request(server).get('/api/cached/no-store').expect(200);
+      const bypassed = await request(server)
+        .get('/api/cached/no-store')
+        .set('Cache-Control', 'no-store')
+        .expect(200);
+
+      expect(second.headers['x-cache']).toBe('MISS');
+      expect(bypassed.headers['x-cache']).toBe('BYPASS');
+      expect(upstream.hits).toBe(3);
+    });
+
+    test('Should drop cached entries after a successful write', async () => {
+      const upstream = await startUpstream((req, res) => {
+        const status = req.method === 'GET' ? 200 : Number(req.headers['x-status'] || 201);
+        respondWith(status, {}, { 'cache-control': 'max-age=60' })(req, res);
+      });
+      cachedRoute('/api/cached/items', upstream);
+
+      await request(server).get('/api/cached/items/7').expect(200);
+      await request(server).post('/api/cached/items').set('X-Status', '500').send({}).expect(500);
+      const kept = await request(server).get('/api/cached/items/7').expect(200);
+
+      await request(server).post('/api/cached/items').send({}).expect(201);
+      const dropped = await request(server).get('/api/cached/items/7').expect(200);
+
+      expect(kept.headers['x-cache']).toBe('HIT');
+      expect(dropped.headers['x-cache']).toBe('MISS');
+    });
+  });
+
+  describe('Request Coalescing', () => {
+    const slowEcho = (req, res) => {
+      setTimeout(() => respondWith(200, { user: req.headers['x-user-id'] || null })(req, res), 100);
+    };
+
+    test('Should share one upstream call between identical anonymous requests', async () => {
+      const upstream = await startUpstream(slowEcho);
+      gateway.routingLayer.addRoute({
+        path: '/api/coalesced/public',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: false,
+        coalesce: true
+      });
+
+      const responses = await Promise.all([1, 2, 3].map(() => request(server).get('/api/coalesced/public')));
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+      expect(upstream.hits).toBe(1);
+    });
+
+    test('Should never share a call between different users on authenticated routes', async () => {
+      const upstream = await startUpstream(slowEcho);
+      gateway.routingLayer.addRoute({
+        path: '/api/coalesced/private',
+        target: upstream.url,
+        methods: ['GET'],
+        authRequired: true,
+        coalesce: true
+      });
+
+      const [alice, bob] = await Promise.all(['alice', 'bob'].map(user => (
+        request(server)
+          .get('/api/coalesced/private')
+          .set('Authorization', `Bearer ${tokenFor(user)}`)
+      )));
+
+      expect(alice.body.user).toBe('alice');
+      expect(bob.body.user).toBe('bob');
+      expect(upstream.hits).toBe(2);
+    });
+  });
+
   describe('Authentication', () => {
     test('Should create test token in development', async () => {
       if (process.env.NODE_ENV === 'development') {
@@ -0,0 +1,79 @@
+const RedisCache = require('../src/utils/redisCache');
+
+// Redis glob matching for the fake client: `*`, `?` and backslash escapes
+function globToRegExp(pattern) {
+  const escape = char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      source += escape(pattern[++i]);
+    } else if (pattern[i] === '*') {
+      source += '.*';
+    } else if (pattern[i] === '?') {
+      source += '.';
+    } else {
+      source += escape(pattern[i]);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Just enough of a node-redis v5 client: scanIterator yields batches of keys
+function createFakeRedisLayer(keys) {
+  const store = new Set(keys);
+  const redisClient = {
+    keys: jest.fn(),
+    scanIterator: jest.fn(async function* ({ MATCH }) {
+      const matching = [...store].filter(key => globToRegExp(MATCH).test(key));
+      for (let i = 0; i < matching.length; i += 2) {
+        yield matching.slice(i, i + 2);
+      }
+      // SCAN can return empty pages
+      yield [];
+    }),
+    del: jest.fn(async (batch) => batch.filter(key => store.delete(key)).length)
+  };
+
+  return { redisLayer: { isConnected: true, redisClient }, store };
+}
+
+describe('RedisCache', () => {
+  test('Should delete keys under a prefix in batches without KEYS', async () => {
+    const { redisLayer, store } = createFakeRedisLayer([
+      'gateway:cache:api-products:shared:GET:/a',
+      'gateway:cache:api-products:shared:GET:/b',
+      'gateway:cache:api-products:user:7:GET:/c',
+      'gateway:cache:api-orders:shared:GET:/d'
+    ]);
+    const cache = new RedisCache({ redisLayer, keyPrefix: 'gateway:cache' });
+
+    const purged = await cache.deletePrefix('api-products:');
+
+    expect(purged).toBe(3);
+    expect([...store]).toEqual(['gateway:cache:api-orders:shared:GET:/d']);
+    expect(redisLayer.redisClient.del).toHaveBeenCalledTimes(2);
+    expect(redisLayer.redisClient.keys).not.toHaveBeenCalled();
+  });
+
+  test('Should match glob characters in the prefix literally', async () => {
+    const { redisLayer, store } = createFakeRedisLayer([
+      'gateway:cache:api-*:shared:GET:/a',
+      'gateway:cache:api-products:shared:GET:/b',
+      'gateway:cache:api-[x]:shared:GET:/c'
+    ]);
+    const cache = new RedisCache({ redisLayer, keyPrefix: 'gateway:cache' });
+
+    expect(await cache.deletePrefix('api-*:')).toBe(1);
+    expect(await cache.deletePrefix('api-?')).toBe(0);
+    expect([...store]).toEqual([
+      'gateway:cache:api-products:shared:GET:/b',
+      'gateway:cache:api-[x]:shared:GET:/c'
+    ]);
+    expect(redisLayer.redisClient.scanIterator).toHaveBeenCalledWith({
+      MATCH: 'gateway:cache:api-\\*:*',
+      COUNT: expect.any(Number)
+    });
+  });
+});
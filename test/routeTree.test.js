@@ -0,0 +1,88 @@
+const { pathToRegexp } = require('path-to-regexp');
+const RouteTree = require('../src/utils/routeTree');
+
+const compile = (path, extra = {}) => ({
+  id: path,
+  path,
+  ...pathToRegexp(path, { sensitive: false, end: false }),
+  ...extra
+});
+
+const buildTree = (routes) => {
+  const tree = new RouteTree();
+  routes.forEach(route => tree.insert(route, route.conditionCount || 0));
+  return tree;
+};
+
+describe('RouteTree', () => {
+  test('Should prefer static segments over params and params over wildcards', () => {
+    const tree = buildTree([
+      compile('/api/*rest'),
+      compile('/api/:resource'),
+      compile('/api/users')
+    ]);
+
+    expect(tree.lookup('/api/users').route.path).toBe('/api/users');
+    expect(tree.lookup('/api/orders').route.path).toBe('/api/:resource');
+    expect(tree.lookup('/api/orders').params).toEqual({ resource: 'orders' });
+    expect(tree.lookup('/api/orders/7/items').route.path).toBe('/api/:resource');
+  });
+
+  test('Should match routes as prefixes and prefer the deepest one', () => {
+    const tree = buildTree([compile('/api'), compile('/api/items')]);
+
+    expect(tree.lookup('/api/items/7').route.path).toBe('/api/items');
+    expect(tree.lookup('/api/other').route.path).toBe('/api');
+    expect(tree.lookup('/health')).toBeNull();
+  });
+
+  test('Should rank complex patterns against tree matches by specificity', () => {
+    const tree = buildTree([
+      compile('/api/items'),
+      compile('/api/items/special{/:x}')
+    ]);
+
+    const deeper = tree.lookup('/api/items/special/7');
+    expect(deeper.route.path).toBe('/api/items/special{/:x}');
+    expect(deeper.params).toEqual({ x: '7' });
+
+    expect(tree.lookup('/api/items/special').route.path).toBe('/api/items/special{/:x}');
+    expect(tree.lookup('/api/items/regular').route.path).toBe('/api/items');
+  });
+
+  test('Should prefer a static tree match over a complex pattern of the same depth', () => {
+    const tree = buildTree([
+      compile('/api/{:version/}items'),
+      compile('/api/v1/items')
+    ]);
+
+    expect(tree.lookup('/api/v1/items').route.path).toBe('/api/v1/items');
+    expect(tree.lookup('/api/v2/items').route.path).toBe('/api/{:version/}items');
+  });
+
+  test('Should break ties by condition count, then by config order', () => {
+    const tied = buildTree([
+      compile('/api/items/:id', { id: 'first' }),
+      compile('/api/items/{:id}', { id: 'second' })
+    ]);
+    expect(tied.lookup('/api/items/7').route.id).toBe('first');
+
+    const conditioned = buildTree([
+      compile('/api/items/:id', { id: 'first' }),
+      compile('/api/items/{:id}', { id: 'second', conditionCount: 1 })
+    ]);
+    expect(conditioned.lookup('/api/items/7').route.id).toBe('second');
+  });
+
+  test('Should skip routes the caller does not accept', () => {
+    const tree = buildTree([
+      compile('/api/items', { id: 'read', methods: ['GET'] }),
+      compile('/api/items/special{/:x}', { id: 'write', methods: ['POST'] })
+    ]);
+    const accepts = method => route => route.methods.includes(method);
+
+    expect(tree.lookup('/api/items/special/7', accepts('GET')).route.id).toBe('read');
+    expect(tree.lookup('/api/items/special/7', accepts('POST')).route.id).toBe('write');
+    expect(tree.lookup('/api/items/special/7', accepts('DELETE'))).toBeNull();
+  });
+});